@@ -43,6 +43,30 @@ const getClient = async () => {
     return client;
 };
 
+// Stream a large result in batches through a server-side cursor, so it is never held in memory at once
+const queryInBatches = async (text, params, onBatch, batchSize = 500) => {
+    const client = await pool.connect();
+    try {
+        // Cursors only live inside a transaction
+        await client.query('BEGIN');
+        await client.query(`DECLARE batch_cursor NO SCROLL CURSOR FOR ${text}`, params);
+
+        for (;;) {
+            const res = await client.query(`FETCH ${batchSize} FROM batch_cursor`);
+            if (res.rows.length === 0) break;
+            await onBatch(res.rows);
+            if (res.rows.length < batchSize) break;
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
 // Test database connection
 const testConnection = async () => {
     try {
@@ -59,5 +83,6 @@ module.exports = {
     pool,
     query,
     getClient,
+    queryInBatches,
     testConnection
 };
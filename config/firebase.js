@@ -1,13 +1,22 @@
 const admin = require('firebase-admin');
-const serviceAccount = require('./serviceAccountKey.json');
 
+// Push notifications are disabled when no service account is configured
+let serviceAccount = null;
 try {
-    admin.initializeApp({
-        credential: admin.credential.cert(serviceAccount)
-    });
-    console.log('Firebase Admin initialized successfully');
+    serviceAccount = require('./serviceAccountKey.json');
 } catch (error) {
-    console.error('Firebase Admin initialization failed:', error);
+    console.warn('Firebase service account not found - push notifications disabled');
+}
+
+if (serviceAccount) {
+    try {
+        admin.initializeApp({
+            credential: admin.credential.cert(serviceAccount)
+        });
+        console.log('Firebase Admin initialized successfully');
+    } catch (error) {
+        console.error('Firebase Admin initialization failed:', error);
+    }
 }
 
 module.exports = admin;
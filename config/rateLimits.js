@@ -0,0 +1,66 @@
+/**
+ * Rate Limit Budgets
+ * Each budget is a token bucket: up to `points` requests, refilled evenly over `duration` seconds.
+ * Override a budget with RATE_LIMIT_<NAME>=points/seconds (e.g. RATE_LIMIT_LOGIN=10/60),
+ * or turn rate limiting off with RATE_LIMIT_ENABLED=false.
+ */
+
+const DEFAULT_BUDGETS = {
+    // Per IP (unauthenticated)
+    login: { points: 10, duration: 60 },
+    register: { points: 5, duration: 3600 },
+    refresh: { points: 30, duration: 60 },
+    passwordReset: { points: 5, duration: 900 },   // Reset emails requested
+
+    // Per user
+    verificationEmail: { points: 3, duration: 900 },
+    message: { points: 30, duration: 10 },     // REST and socket sends share one bucket
+    upload: { points: 20, duration: 60 },
+    contactRequest: { points: 20, duration: 3600 },  // Contact requests sent
+    dataExport: { points: 3, duration: 3600 },
+    typing: { points: 20, duration: 10 },
+    reaction: { points: 30, duration: 10 },
+    socket: { points: 120, duration: 10 }      // Any other socket event
+};
+
+// Socket events with their own budget; everything else uses the socket budget
+const SOCKET_EVENT_BUDGETS = {
+    send_message: 'message',
+    typing: 'typing',
+    stop_typing: 'typing',
+    add_reaction: 'reaction',
+    remove_reaction: 'reaction'
+};
+
+const BUDGET_OVERRIDE_PATTERN = /^(\d+)\/(\d+)$/;
+
+/**
+ * Environment variable overriding a budget (passwordReset -> RATE_LIMIT_PASSWORD_RESET)
+ */
+const overrideVariable = (name) => `RATE_LIMIT_${name.replace(/[A-Z]/g, '_$&').toUpperCase()}`;
+
+/**
+ * Apply RATE_LIMIT_<NAME> overrides to the default budgets
+ */
+const loadBudgets = () => Object.fromEntries(
+    Object.entries(DEFAULT_BUDGETS).map(([name, budget]) => {
+        const override = process.env[overrideVariable(name)];
+
+        if (override === undefined) {
+            return [name, budget];
+        }
+
+        const match = BUDGET_OVERRIDE_PATTERN.exec(override.trim());
+        if (!match || parseInt(match[1], 10) === 0 || parseInt(match[2], 10) === 0) {
+            throw new Error(`Invalid ${overrideVariable(name)}: expected points/seconds, e.g. 10/60`);
+        }
+
+        return [name, { points: parseInt(match[1], 10), duration: parseInt(match[2], 10) }];
+    })
+);
+
+module.exports = {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    budgets: loadBudgets(),
+    SOCKET_EVENT_BUDGETS
+};
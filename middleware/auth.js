@@ -1,9 +1,10 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/db');
+const { isSessionActive } = require('../services/sessionService');
 
 /**
  * Authentication Middleware
- * Verifies JWT token and attaches user to request
+ * Verifies JWT token and session, and attaches user to request
  */
 const authMiddleware = async (req, res, next) => {
     try {
@@ -22,6 +23,14 @@ const authMiddleware = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Every access token is bound to a device session; tokens without one cannot be revoked
+        if (!decoded.sessionId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token'
+            });
+        }
+
         // Get user from database
         const result = await query(
             'SELECT id, username, email, is_online FROM users WHERE id = $1',
@@ -35,8 +44,17 @@ const authMiddleware = async (req, res, next) => {
             });
         }
 
-        // Attach user to request
+        // Reject tokens whose device session has been revoked
+        if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session revoked'
+            });
+        }
+
+        // Attach user and session to request
         req.user = result.rows[0];
+        req.sessionId = decoded.sessionId;
         next();
 
     } catch (error) {
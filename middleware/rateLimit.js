@@ -0,0 +1,33 @@
+const { consume } = require('../services/rateLimit');
+
+/**
+ * Rate Limiting Middleware
+ * Spends one request of a budget per call and answers 429 with Retry-After once it runs out.
+ * Authenticated requests are limited per user, others per IP address.
+ * @param {string} budgetName - Budget from config/rateLimits
+ */
+const rateLimit = (budgetName) => async (req, res, next) => {
+    const clientKey = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let result;
+    try {
+        result = await consume(budgetName, clientKey);
+    } catch (error) {
+        // Fail open: an unavailable store must not take the API down
+        console.error('Rate limit error:', error);
+        return next();
+    }
+
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({
+            success: false,
+            message: 'Too many requests. Please try again later.',
+            retryAfter: result.retryAfter
+        });
+    }
+
+    next();
+};
+
+module.exports = rateLimit;
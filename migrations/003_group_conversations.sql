@@ -0,0 +1,61 @@
+-- Group conversations with members and roles
+-- Direct chats stay keyed by the sender/receiver pair; group messages
+-- reference a conversation instead of a single receiver.
+
+-- =============================================
+-- CONVERSATIONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS conversations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =============================================
+-- CONVERSATION MEMBERS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS conversation_members (
+    conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(10) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_read_at TIMESTAMP WITH TIME ZONE,
+    PRIMARY KEY (conversation_id, user_id)
+);
+
+-- =============================================
+-- MESSAGES: group support
+-- =============================================
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+
+-- Group messages have no single receiver
+ALTER TABLE messages ALTER COLUMN receiver_id DROP NOT NULL;
+
+-- A message targets either a receiver (direct) or a conversation (group)
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_target_check;
+ALTER TABLE messages ADD CONSTRAINT messages_target_check
+CHECK ((receiver_id IS NULL) <> (conversation_id IS NULL));
+
+-- =============================================
+-- INDEXES
+-- =============================================
+CREATE INDEX IF NOT EXISTS idx_conversation_members_user ON conversation_members(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_group_conversation
+ON messages(conversation_id, created_at DESC) WHERE conversation_id IS NOT NULL;
+
+-- =============================================
+-- TRIGGER: Auto-update updated_at timestamp
+-- =============================================
+DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations;
+CREATE TRIGGER update_conversations_updated_at
+    BEFORE UPDATE ON conversations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE conversations IS 'Group conversations';
+COMMENT ON TABLE conversation_members IS 'Members of group conversations and their roles';
+COMMENT ON COLUMN conversation_members.last_read_at IS 'Read marker used for group unread counts';
+COMMENT ON COLUMN messages.conversation_id IS 'Group conversation the message belongs to (NULL for direct messages)';
@@ -0,0 +1,32 @@
+-- Device sessions with per-device refresh tokens
+-- Replaces the single users.refresh_token column (existing refresh tokens
+-- stop working and those devices must log in again).
+
+-- =============================================
+-- SESSIONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash VARCHAR(64) NOT NULL,
+    device_name VARCHAR(100),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_active
+ON sessions(user_id) WHERE revoked_at IS NULL;
+
+-- =============================================
+-- USERS: drop the single refresh token
+-- =============================================
+ALTER TABLE users DROP COLUMN IF EXISTS refresh_token;
+
+COMMENT ON TABLE sessions IS 'Logged-in devices, each with its own rotating refresh token';
+COMMENT ON COLUMN sessions.refresh_token_hash IS 'SHA-256 of the current refresh token; older tokens are treated as reuse';
+COMMENT ON COLUMN sessions.revoked_reason IS 'logout, revoked, logout_all or token_reuse';
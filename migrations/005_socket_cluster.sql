@@ -0,0 +1,30 @@
+-- Cross-instance Socket.io support
+-- Lets several server processes share one PostgreSQL for event routing and presence.
+
+-- =============================================
+-- SOCKET.IO POSTGRES ADAPTER
+-- =============================================
+-- Holds NOTIFY payloads over the 8000 byte limit (used by @socket.io/postgres-adapter)
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+    id BIGSERIAL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    payload BYTEA
+);
+
+-- =============================================
+-- SOCKET CONNECTIONS (presence registry)
+-- =============================================
+CREATE TABLE IF NOT EXISTS socket_connections (
+    socket_id VARCHAR(64) PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE SET NULL,
+    server_id VARCHAR(64) NOT NULL,
+    connected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_heartbeat_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_socket_connections_user ON socket_connections(user_id);
+CREATE INDEX IF NOT EXISTS idx_socket_connections_server ON socket_connections(server_id);
+
+COMMENT ON TABLE socket_connections IS 'Live sockets across all server instances';
+COMMENT ON COLUMN socket_connections.last_heartbeat_at IS 'Refreshed by the owning instance; stale rows belong to crashed instances';
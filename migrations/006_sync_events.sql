@@ -0,0 +1,83 @@
+-- Change log for reconnect sync
+-- Triggers record every message change so REST and socket paths are captured alike;
+-- the BIGSERIAL id is the (opaque, base64-encoded) sync cursor handed to clients.
+
+-- =============================================
+-- SYNC EVENTS TABLE
+-- =============================================
+-- No foreign keys: events outlive the rows they describe
+CREATE TABLE IF NOT EXISTS sync_events (
+    id BIGSERIAL PRIMARY KEY,
+    event_type VARCHAR(30) NOT NULL,
+    message_id UUID,
+    sender_id UUID,
+    receiver_id UUID,
+    conversation_id UUID,
+    actor_id UUID,
+    data JSONB,
+    occurred_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_events_sender ON sync_events(sender_id, id) WHERE conversation_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sync_events_receiver ON sync_events(receiver_id, id) WHERE conversation_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sync_events_conversation ON sync_events(conversation_id, id) WHERE conversation_id IS NOT NULL;
+
+-- =============================================
+-- TRIGGER: Record message changes
+-- =============================================
+CREATE OR REPLACE FUNCTION record_message_sync_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    change VARCHAR(30);
+    actor UUID := NEW.sender_id;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        change := 'message_created';
+    ELSIF NEW.is_deleted AND NOT COALESCE(OLD.is_deleted, false) THEN
+        change := 'message_deleted';
+    ELSIF NEW.content IS DISTINCT FROM OLD.content THEN
+        change := 'message_edited';
+    ELSIF NEW.is_read AND NOT COALESCE(OLD.is_read, false) THEN
+        change := 'message_read';
+        actor := NEW.receiver_id;
+    ELSE
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO sync_events (event_type, message_id, sender_id, receiver_id, conversation_id, actor_id)
+    VALUES (change, NEW.id, NEW.sender_id, NEW.receiver_id, NEW.conversation_id, actor);
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS record_messages_sync_event ON messages;
+CREATE TRIGGER record_messages_sync_event
+    AFTER INSERT OR UPDATE ON messages
+    FOR EACH ROW
+    EXECUTE FUNCTION record_message_sync_event();
+
+-- =============================================
+-- TRIGGER: Record group read markers
+-- =============================================
+CREATE OR REPLACE FUNCTION record_group_read_sync_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.last_read_at IS DISTINCT FROM OLD.last_read_at THEN
+        INSERT INTO sync_events (event_type, conversation_id, actor_id, data)
+        VALUES ('conversation_read', NEW.conversation_id, NEW.user_id,
+                jsonb_build_object('lastReadAt', NEW.last_read_at));
+    END IF;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS record_conversation_members_sync_event ON conversation_members;
+CREATE TRIGGER record_conversation_members_sync_event
+    AFTER UPDATE ON conversation_members
+    FOR EACH ROW
+    EXECUTE FUNCTION record_group_read_sync_event();
+
+COMMENT ON TABLE sync_events IS 'Ordered change log served by GET /api/sync';
+COMMENT ON COLUMN sync_events.actor_id IS 'User who caused the change (sender, reader or deleter)';
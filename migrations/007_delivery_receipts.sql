@@ -0,0 +1,47 @@
+-- Delivered receipts (direct messages)
+-- delivered_at is set when the recipient's device acknowledges the message,
+-- or when they fetch it through history or sync. Reading implies delivery.
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+
+-- Messages already read were necessarily delivered
+UPDATE messages SET delivered_at = read_at
+WHERE delivered_at IS NULL AND is_read = true;
+
+CREATE INDEX IF NOT EXISTS idx_messages_undelivered
+ON messages(receiver_id) WHERE delivered_at IS NULL;
+
+-- =============================================
+-- TRIGGER: Record delivery in the sync change log
+-- =============================================
+CREATE OR REPLACE FUNCTION record_message_sync_event()
+RETURNS TRIGGER AS $$
+DECLARE
+    change VARCHAR(30);
+    actor UUID := NEW.sender_id;
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        change := 'message_created';
+    ELSIF NEW.is_deleted AND NOT COALESCE(OLD.is_deleted, false) THEN
+        change := 'message_deleted';
+    ELSIF NEW.content IS DISTINCT FROM OLD.content THEN
+        change := 'message_edited';
+    ELSIF NEW.is_read AND NOT COALESCE(OLD.is_read, false) THEN
+        change := 'message_read';
+        actor := NEW.receiver_id;
+    ELSIF NEW.delivered_at IS NOT NULL AND OLD.delivered_at IS NULL THEN
+        change := 'message_delivered';
+        actor := NEW.receiver_id;
+    ELSE
+        RETURN NEW;
+    END IF;
+
+    INSERT INTO sync_events (event_type, message_id, sender_id, receiver_id, conversation_id, actor_id)
+    VALUES (change, NEW.id, NEW.sender_id, NEW.receiver_id, NEW.conversation_id, actor);
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+COMMENT ON COLUMN messages.delivered_at IS 'When the message reached the recipient''s device';
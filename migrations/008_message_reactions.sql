@@ -0,0 +1,16 @@
+-- Emoji reactions on messages
+
+-- =============================================
+-- MESSAGE REACTIONS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS message_reactions (
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    emoji VARCHAR(32) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, user_id, emoji)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message ON message_reactions(message_id, created_at);
+
+COMMENT ON TABLE message_reactions IS 'Emoji reactions; one row per user per emoji per message';
@@ -0,0 +1,41 @@
+-- File and image attachments
+-- Files live in the configured storage backend; rows reference them by key.
+-- Uploads start unattached (message_id NULL) and are linked when sent.
+
+-- =============================================
+-- MESSAGES: message type
+-- =============================================
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS message_type VARCHAR(20) NOT NULL DEFAULT 'text';
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_type_check;
+ALTER TABLE messages ADD CONSTRAINT messages_type_check
+CHECK (message_type IN ('text', 'attachment'));
+
+-- =============================================
+-- ATTACHMENTS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS attachments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    uploader_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id UUID REFERENCES messages(id) ON DELETE CASCADE,
+    storage_key VARCHAR(255) NOT NULL,
+    thumbnail_key VARCHAR(255),
+    file_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    width INTEGER,
+    height INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =============================================
+-- INDEXES
+-- =============================================
+CREATE INDEX IF NOT EXISTS idx_attachments_message ON attachments(message_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_attachments_unclaimed
+ON attachments(uploader_id, created_at) WHERE message_id IS NULL;
+
+COMMENT ON TABLE attachments IS 'Uploaded files; unattached until referenced by a sent message';
+COMMENT ON COLUMN attachments.storage_key IS 'Key of the file in the storage backend';
+COMMENT ON COLUMN messages.message_type IS 'text, or attachment for messages carrying files';
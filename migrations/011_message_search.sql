@@ -0,0 +1,11 @@
+-- Full-text search over message content
+-- The 'simple' configuration (no stemming or stop words) because chats mix languages.
+
+ALTER TABLE messages
+ADD COLUMN IF NOT EXISTS search_vector tsvector
+GENERATED ALWAYS AS (to_tsvector('simple', COALESCE(content, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search
+ON messages USING GIN (search_vector) WHERE is_deleted = false;
+
+COMMENT ON COLUMN messages.search_vector IS 'Full-text search document for content (simple configuration)';
@@ -0,0 +1,51 @@
+-- Contacts and contact requests
+-- Accepted contacts are stored as two rows (one per direction) so each
+-- user's list is a single indexed lookup.
+
+-- =============================================
+-- USERS: message privacy
+-- =============================================
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS message_privacy VARCHAR(20) NOT NULL DEFAULT 'everyone';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_message_privacy_check;
+ALTER TABLE users ADD CONSTRAINT users_message_privacy_check
+CHECK (message_privacy IN ('everyone', 'contacts'));
+
+-- =============================================
+-- CONTACT REQUESTS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS contact_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    requester_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    addressee_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    CHECK (requester_id <> addressee_id)
+);
+
+-- =============================================
+-- CONTACTS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS contacts (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    contact_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, contact_id),
+    CHECK (user_id <> contact_id)
+);
+
+-- =============================================
+-- INDEXES
+-- =============================================
+-- At most one pending request per direction
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contact_requests_pending
+ON contact_requests(requester_id, addressee_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_contact_requests_addressee
+ON contact_requests(addressee_id, created_at DESC) WHERE status = 'pending';
+
+COMMENT ON TABLE contact_requests IS 'Contact (friend) requests and their outcome';
+COMMENT ON TABLE contacts IS 'Accepted contacts, one row per direction';
+COMMENT ON COLUMN users.message_privacy IS 'Who may start direct chats: everyone or contacts';
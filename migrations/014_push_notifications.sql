@@ -0,0 +1,12 @@
+-- Push notifications for new messages
+
+-- Backgrounded apps keep their socket but still need a push
+ALTER TABLE socket_connections
+ADD COLUMN IF NOT EXISTS in_background BOOLEAN NOT NULL DEFAULT false;
+
+-- Show "New message" instead of the message text in pushes
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS push_hide_content BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN socket_connections.in_background IS 'Client reported the app is in the background (app_state event)';
+COMMENT ON COLUMN users.push_hide_content IS 'Hide message content in push notification previews';
@@ -0,0 +1,40 @@
+-- Push tokens per device
+-- Replaces the single users.fcm_token column so every logged-in device gets pushes
+
+-- =============================================
+-- DEVICE TOKENS TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS device_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    session_id UUID REFERENCES sessions(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    platform VARCHAR(10) CHECK (platform IN ('android', 'ios', 'web')),
+    app_version VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_user ON device_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_device_tokens_session ON device_tokens(session_id);
+
+-- =============================================
+-- USERS: move the single token over, then drop it
+-- =============================================
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'fcm_token'
+    ) THEN
+        INSERT INTO device_tokens (user_id, token)
+        SELECT id, fcm_token FROM users WHERE fcm_token IS NOT NULL
+        ON CONFLICT (token) DO NOTHING;
+
+        ALTER TABLE users DROP COLUMN fcm_token;
+    END IF;
+END $$;
+
+COMMENT ON TABLE device_tokens IS 'FCM registration tokens, one per app install';
+COMMENT ON COLUMN device_tokens.session_id IS 'Session that registered the token; the token is removed when that device logs out';
+COMMENT ON COLUMN device_tokens.platform IS 'android, ios or web; NULL for tokens migrated from users.fcm_token';
@@ -0,0 +1,42 @@
+-- Per-chat mute settings and global notification preferences
+
+-- =============================================
+-- CHAT NOTIFICATION SETTINGS TABLE
+-- =============================================
+-- One row per user and chat: either a direct chat (partner_id) or a group (conversation_id)
+CREATE TABLE IF NOT EXISTS chat_notification_settings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    partner_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+    muted_forever BOOLEAN NOT NULL DEFAULT false,
+    muted_until TIMESTAMP WITH TIME ZONE,
+    mentions_only BOOLEAN NOT NULL DEFAULT false,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chat_notification_settings_one_chat CHECK (num_nonnulls(partner_id, conversation_id) = 1)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_notification_settings_direct
+ON chat_notification_settings(user_id, partner_id) WHERE partner_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_chat_notification_settings_group
+ON chat_notification_settings(user_id, conversation_id) WHERE conversation_id IS NOT NULL;
+
+-- =============================================
+-- USERS: quiet hours
+-- =============================================
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS quiet_hours_start TIME;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS quiet_hours_end TIME;
+
+COMMENT ON TABLE chat_notification_settings IS 'Per-user push settings of a direct chat or group';
+COMMENT ON COLUMN chat_notification_settings.muted_until IS 'Muted until this time; ignored once it has passed';
+COMMENT ON COLUMN chat_notification_settings.mentions_only IS 'Groups only: push only messages that @mention the user';
+COMMENT ON COLUMN users.timezone IS 'IANA time zone the quiet hours are in';
+COMMENT ON COLUMN users.quiet_hours_start IS 'Local time pushes stop (NULL = no quiet hours)';
+COMMENT ON COLUMN users.quiet_hours_end IS 'Local time pushes resume; may be earlier than the start (overnight)';
@@ -0,0 +1,16 @@
+-- Shared token buckets for rate limiting (RATE_LIMIT_STORE=postgres)
+-- UNLOGGED: buckets are short-lived and need not survive a crash
+
+CREATE UNLOGGED TABLE IF NOT EXISTS rate_limit_buckets (
+    key VARCHAR(255) PRIMARY KEY,
+    tokens DOUBLE PRECISION NOT NULL,
+    capacity DOUBLE PRECISION NOT NULL,
+    refill_per_second DOUBLE PRECISION NOT NULL,
+    allowed BOOLEAN NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_updated ON rate_limit_buckets(updated_at);
+
+COMMENT ON TABLE rate_limit_buckets IS 'Token buckets keyed by budget and client (user or IP)';
+COMMENT ON COLUMN rate_limit_buckets.allowed IS 'Whether the most recent take succeeded';
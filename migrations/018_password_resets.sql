@@ -0,0 +1,19 @@
+-- Password reset tokens
+-- Only a hash of each emailed token is stored; a token works once, until it expires
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    requested_ip VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user
+ON password_reset_tokens(user_id) WHERE used_at IS NULL;
+
+COMMENT ON TABLE password_reset_tokens IS 'Single-use password reset tokens sent by email';
+COMMENT ON COLUMN password_reset_tokens.token_hash IS 'SHA-256 of the emailed token';
+COMMENT ON COLUMN sessions.revoked_reason IS 'logout, revoked, logout_all, token_reuse or password_reset';
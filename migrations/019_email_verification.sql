@@ -0,0 +1,17 @@
+-- Email address verification
+
+-- Accounts that existed before verification was introduced count as verified
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'users' AND column_name = 'email_verified'
+    ) THEN
+        ALTER TABLE users ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT false;
+        ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+
+        UPDATE users SET email_verified = true, email_verified_at = NOW();
+    END IF;
+END $$;
+
+COMMENT ON COLUMN users.email_verified IS 'Whether the user confirmed their email address via the emailed link';
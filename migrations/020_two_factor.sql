@@ -0,0 +1,34 @@
+-- TOTP two-factor authentication
+
+-- =============================================
+-- USERS: TOTP secret and state
+-- =============================================
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_secret TEXT;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+-- =============================================
+-- BACKUP CODES TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS two_factor_backup_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_two_factor_backup_codes_user
+ON two_factor_backup_codes(user_id) WHERE used_at IS NULL;
+
+COMMENT ON COLUMN users.totp_secret IS 'AES-256-GCM encrypted TOTP secret; set during enrollment, active once totp_enabled';
+COMMENT ON COLUMN users.totp_last_used_step IS 'Time step of the last accepted code, so a code cannot be replayed';
+COMMENT ON TABLE two_factor_backup_codes IS 'Single-use recovery codes (SHA-256 hashed) for when the authenticator is lost';
@@ -0,0 +1,18 @@
+-- Account deletion with a grace period
+-- A deleted account is anonymized, not removed: its row stays as a tombstone so the
+-- ON DELETE CASCADE foreign keys never take partners' chat histories with it
+
+-- =============================================
+-- USERS: deletion state
+-- =============================================
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled
+ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
+
+COMMENT ON COLUMN users.deletion_scheduled_for IS 'When a requested deletion takes effect; logging in before then cancels it';
+COMMENT ON COLUMN users.deleted_at IS 'When the account was anonymized (profile scrubbed, sent messages kept under a placeholder name)';
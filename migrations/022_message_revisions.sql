@@ -0,0 +1,26 @@
+-- Full edit history of messages
+
+-- =============================================
+-- MESSAGE REVISIONS TABLE
+-- =============================================
+-- One row per replaced version: revision 1 is the original text, the current text stays on messages
+CREATE TABLE IF NOT EXISTS message_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    content TEXT NOT NULL,
+    written_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    replaced_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (message_id, revision)
+);
+
+-- Edits made before revisions were kept only left the first version behind
+INSERT INTO message_revisions (message_id, revision, content, written_at, replaced_at)
+SELECT id, 1, original_content, created_at, COALESCE(edited_at, created_at)
+FROM messages
+WHERE original_content IS NOT NULL AND is_deleted IS NOT TRUE
+ON CONFLICT (message_id, revision) DO NOTHING;
+
+COMMENT ON TABLE message_revisions IS 'Earlier versions of edited messages, oldest (the original) first';
+COMMENT ON COLUMN message_revisions.written_at IS 'When this version was sent or last edited to';
+COMMENT ON COLUMN message_revisions.replaced_at IS 'When an edit replaced this version';
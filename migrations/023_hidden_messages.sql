@@ -0,0 +1,16 @@
+-- Per-user message visibility: "delete for me" and "clear chat"
+
+-- =============================================
+-- HIDDEN MESSAGES TABLE
+-- =============================================
+-- One row per user and message the user no longer sees; the message stays for everyone else
+CREATE TABLE IF NOT EXISTS hidden_messages (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    hidden_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hidden_messages_message ON hidden_messages(message_id);
+
+COMMENT ON TABLE hidden_messages IS 'Messages a user deleted for themselves or cleared from a chat';
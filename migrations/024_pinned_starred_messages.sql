@@ -0,0 +1,27 @@
+-- Pinned messages (shared by the chat) and starred messages (private)
+
+-- =============================================
+-- PINNED MESSAGES TABLE
+-- =============================================
+-- A message belongs to one chat, so it is pinned at most once
+CREATE TABLE IF NOT EXISTS pinned_messages (
+    message_id UUID PRIMARY KEY REFERENCES messages(id) ON DELETE CASCADE,
+    pinned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    pinned_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- =============================================
+-- STARRED MESSAGES TABLE
+-- =============================================
+CREATE TABLE IF NOT EXISTS starred_messages (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+    starred_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, message_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_starred_messages_user ON starred_messages(user_id, starred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_starred_messages_message ON starred_messages(message_id);
+
+COMMENT ON TABLE pinned_messages IS 'Messages pinned in a direct chat or group, visible to every participant';
+COMMENT ON TABLE starred_messages IS 'Messages a user starred for later; private to that user';
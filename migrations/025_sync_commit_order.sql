@@ -0,0 +1,11 @@
+-- Commit-safe sync cursors
+-- sync_events ids are assigned at insert, so concurrent transactions can commit them out of order.
+-- Events are served ordered by the transaction that recorded them, and only once every
+-- transaction that could still add an earlier event has finished.
+
+ALTER TABLE sync_events
+ADD COLUMN IF NOT EXISTS txid BIGINT NOT NULL DEFAULT (pg_current_xact_id()::text::bigint);
+
+CREATE INDEX IF NOT EXISTS idx_sync_events_txid ON sync_events(txid, id);
+
+COMMENT ON COLUMN sync_events.txid IS 'Transaction that recorded the event; with id, the sync cursor position';
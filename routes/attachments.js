@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const authMiddleware = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const storage = require('../services/storage');
+const {
+    MAX_ATTACHMENT_SIZE,
+    ALLOWED_MIME_TYPES,
+    isImage,
+    formatAttachmentResponse,
+    createAttachment,
+    getAccessibleAttachment
+} = require('../services/attachmentService');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// =============================================
+// HELPER FUNCTIONS
+// =============================================
+
+// Files are buffered in memory so images can be thumbnailed before storing
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_SIZE, files: 1 }
+}).single('file');
+
+/**
+ * Parse a multipart upload, turning multer errors into JSON responses
+ */
+const parseUpload = (req, res, next) => {
+    upload(req, res, (err) => {
+        if (!err) {
+            return next();
+        }
+
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                message: `File too large (max ${Math.floor(MAX_ATTACHMENT_SIZE / (1024 * 1024))} MB)`
+            });
+        }
+
+        if (err instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a single file in the "file" field'
+            });
+        }
+
+        next(err);
+    });
+};
+
+/**
+ * Stream a stored file to the response
+ */
+const sendStoredFile = (res, key, headers) => {
+    const stream = storage.createReadStream(key);
+
+    stream.on('error', (error) => {
+        console.error('Read attachment error:', error);
+        if (!res.headersSent) {
+            res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        } else {
+            res.destroy(error);
+        }
+    });
+
+    stream.once('open', () => {
+        res.set({
+            ...headers,
+            'Cache-Control': 'private, max-age=86400',
+            // Allow the web client on another origin to embed authenticated downloads
+            'Cross-Origin-Resource-Policy': 'cross-origin'
+        });
+    });
+
+    stream.pipe(res);
+};
+
+// =============================================
+// ROUTES
+// =============================================
+
+/**
+ * @route   POST /api/attachments
+ * @desc    Upload a file (multipart field "file"); send it by passing its ID in a message's attachmentIds
+ * @access  Private
+ */
+router.post('/', rateLimit('upload'), parseUpload, async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'File is required'
+            });
+        }
+
+        if (!ALLOWED_MIME_TYPES.includes(req.file.mimetype)) {
+            return res.status(415).json({
+                success: false,
+                message: 'File type not allowed'
+            });
+        }
+
+        const attachment = await createAttachment(req.user.id, req.file);
+
+        if (!attachment) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid image file'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            attachment: formatAttachmentResponse(attachment)
+        });
+    } catch (error) {
+        console.error('Upload attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload file'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/attachments/:attachmentId
+ * @desc    Download an attachment
+ * @access  Private (uploader, or participants of the chat it was sent to)
+ */
+router.get('/:attachmentId', async (req, res) => {
+    try {
+        const attachment = await getAccessibleAttachment(req.params.attachmentId, req.user.id);
+
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        // Only images are rendered inline; everything else downloads
+        const disposition = isImage(attachment.mime_type) ? 'inline' : 'attachment';
+
+        sendStoredFile(res, attachment.storage_key, {
+            'Content-Type': attachment.mime_type,
+            'Content-Length': attachment.size_bytes,
+            'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.file_name)}`
+        });
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download attachment'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/attachments/:attachmentId/thumbnail
+ * @desc    Download an image attachment's thumbnail (WebP)
+ * @access  Private (uploader, or participants of the chat it was sent to)
+ */
+router.get('/:attachmentId/thumbnail', async (req, res) => {
+    try {
+        const attachment = await getAccessibleAttachment(req.params.attachmentId, req.user.id);
+
+        if (!attachment || !attachment.thumbnail_key) {
+            return res.status(404).json({
+                success: false,
+                message: 'Thumbnail not found'
+            });
+        }
+
+        sendStoredFile(res, attachment.thumbnail_key, {
+            'Content-Type': 'image/webp',
+            'Content-Disposition': 'inline'
+        });
+    } catch (error) {
+        console.error('Download thumbnail error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to download thumbnail'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,9 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const { query } = require('../config/db');
+const authMiddleware = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    getRequestDevice,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    getActiveSessions
+} = require('../services/sessionService');
+const { sendPasswordReset, consumeResetToken } = require('../services/passwordResetService');
+const { sendVerificationEmail, verifyEmailToken } = require('../services/emailVerificationService');
+const {
+    verifyTwoFactorCode,
+    createLoginChallenge,
+    verifyLoginChallenge
+} = require('../services/twoFactorService');
+const { cancelDeletion } = require('../services/accountService');
+const { emitToUser, disconnectSessions } = require('../socket');
 
 // =============================================
 // VALIDATION MIDDLEWARE
@@ -25,6 +43,41 @@ const registerValidation = [
         .withMessage('Password must be at least 6 characters long')
 ];
 
+const forgotPasswordValidation = [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Must be a valid email address')
+];
+
+const resetPasswordValidation = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Reset token is required'),
+    body('password')
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters long')
+];
+
+const twoFactorLoginValidation = [
+    body('challengeToken')
+        .isString()
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    body('code')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification code is required')
+];
+
+const verifyEmailValidation = [
+    body('token')
+        .isString()
+        .notEmpty()
+        .withMessage('Verification token is required')
+];
+
 const loginValidation = [
     body('email')
         .isEmail()
@@ -39,25 +92,6 @@ const loginValidation = [
 // HELPER FUNCTIONS
 // =============================================
 
-/**
- * Generate access and refresh tokens
- */
-const generateTokens = (userId) => {
-    const accessToken = jwt.sign(
-        { userId },
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
-    );
-
-    const refreshToken = jwt.sign(
-        { userId },
-        process.env.JWT_REFRESH_SECRET,
-        { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
-    );
-
-    return { accessToken, refreshToken };
-};
-
 /**
  * Format user object for response (exclude sensitive data)
  */
@@ -67,9 +101,55 @@ const formatUserResponse = (user) => ({
     email: user.email,
     createdAt: user.created_at,
     isOnline: user.is_online,
-    lastSeen: user.last_seen
+    lastSeen: user.last_seen,
+    emailVerified: user.email_verified,
+    twoFactorEnabled: user.totp_enabled
 });
 
+/**
+ * Format session object for response
+ */
+const formatSessionResponse = (session, currentSessionId) => ({
+    id: session.id,
+    deviceName: session.device_name,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    isCurrent: session.id === currentSessionId
+});
+
+/**
+ * Start a session for a user who passed every login step and send its tokens
+ */
+const completeLogin = async (req, res, user) => {
+    // Start a session for this device (other devices stay logged in)
+    const { sessionId, accessToken, refreshToken } = await createSession(
+        user.id,
+        getRequestDevice(req)
+    );
+
+    // Update online status
+    await query(
+        'UPDATE users SET is_online = true WHERE id = $1',
+        [user.id]
+    );
+
+    // Logging in during the grace period keeps the account
+    const deletionCancelled = await cancelDeletion(user.id);
+
+    res.json({
+        success: true,
+        message: deletionCancelled ? 'Login successful. Account deletion cancelled.' : 'Login successful',
+        ...(deletionCancelled && { deletionCancelled }),
+        user: formatUserResponse(user),
+        sessionId,
+        accessToken,
+        refreshToken
+    });
+};
+
 // =============================================
 // ROUTES
 // =============================================
@@ -79,7 +159,7 @@ const formatUserResponse = (user) => ({
  * @desc    Register a new user
  * @access  Public
  */
-router.post('/register', registerValidation, async (req, res) => {
+router.post('/register', rateLimit('register'), registerValidation, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -113,25 +193,28 @@ router.post('/register', registerValidation, async (req, res) => {
         const result = await query(
             `INSERT INTO users (username, email, password_hash)
              VALUES ($1, $2, $3)
-             RETURNING id, username, email, created_at, is_online, last_seen`,
+             RETURNING id, username, email, created_at, is_online, last_seen, email_verified, totp_enabled`,
             [username, email, passwordHash]
         );
 
         const user = result.rows[0];
 
-        // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user.id);
-
-        // Store refresh token in database
-        await query(
-            'UPDATE users SET refresh_token = $1 WHERE id = $2',
-            [refreshToken, user.id]
+        // Start a session for this device
+        const { sessionId, accessToken, refreshToken } = await createSession(
+            user.id,
+            getRequestDevice(req)
         );
 
+        // A mail failure must not fail the signup; the user can ask for a new link
+        sendVerificationEmail(user).catch(error => {
+            console.error('Verification email error:', error);
+        });
+
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             user: formatUserResponse(user),
+            sessionId,
             accessToken,
             refreshToken
         });
@@ -150,7 +233,7 @@ router.post('/register', registerValidation, async (req, res) => {
  * @desc    Login user
  * @access  Public
  */
-router.post('/login', loginValidation, async (req, res) => {
+router.post('/login', rateLimit('login'), loginValidation, async (req, res) => {
     try {
         // Check validation errors
         const errors = validationResult(req);
@@ -187,22 +270,17 @@ router.post('/login', loginValidation, async (req, res) => {
             });
         }
 
-        // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user.id);
-
-        // Update refresh token and online status
-        await query(
-            'UPDATE users SET refresh_token = $1, is_online = true WHERE id = $2',
-            [refreshToken, user.id]
-        );
+        // With 2FA on, tokens are only issued once a code is given (POST /api/auth/login/2fa)
+        if (user.totp_enabled) {
+            return res.json({
+                success: true,
+                message: 'Two-factor code required',
+                twoFactorRequired: true,
+                challengeToken: createLoginChallenge(user.id)
+            });
+        }
 
-        res.json({
-            success: true,
-            message: 'Login successful',
-            user: formatUserResponse(user),
-            accessToken,
-            refreshToken
-        });
+        await completeLogin(req, res, user);
 
     } catch (error) {
         console.error('Login error:', error);
@@ -214,31 +292,69 @@ router.post('/login', loginValidation, async (req, res) => {
 });
 
 /**
- * @route   POST /api/auth/logout
- * @desc    Logout user
- * @access  Private
+ * @route   POST /api/auth/login/2fa
+ * @desc    Finish a two-factor login ({ challengeToken, code }); code is a TOTP or backup code
+ * @access  Public (with login challenge)
  */
-router.post('/logout', async (req, res) => {
+router.post('/login/2fa', rateLimit('login'), twoFactorLoginValidation, async (req, res) => {
     try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { challengeToken, code } = req.body;
+
+        const userId = verifyLoginChallenge(challengeToken);
+
+        if (!userId) {
             return res.status(401).json({
                 success: false,
-                message: 'No token provided'
+                message: 'Login challenge expired. Please log in again.'
             });
         }
 
-        const token = authHeader.split(' ')[1];
+        if (!(await verifyTwoFactorCode(userId, code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid verification code'
+            });
+        }
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        const result = await query('SELECT * FROM users WHERE id = $1', [userId]);
 
-        // Clear refresh token and set offline
-        await query(
-            'UPDATE users SET refresh_token = NULL, is_online = false, last_seen = NOW() WHERE id = $1',
-            [decoded.userId]
-        );
+        if (result.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        await completeLogin(req, res, result.rows[0]);
+
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout the current device (revokes its session)
+ * @access  Private
+ */
+router.post('/logout', authMiddleware, async (req, res) => {
+    try {
+        // Revoke this device's session and drop its live sockets
+        // (the socket layer marks the user offline once their last device disconnects)
+        await revokeSession(req.sessionId, 'logout', req.user.id);
+        disconnectSessions([req.sessionId]);
 
         res.json({
             success: true,
@@ -246,20 +362,44 @@ router.post('/logout', async (req, res) => {
         });
 
     } catch (error) {
-        // Even if token is invalid, consider logout successful
+        console.error('Logout error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during logout'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Logout every device (revokes all sessions)
+ * @access  Private
+ */
+router.post('/logout-all', authMiddleware, async (req, res) => {
+    try {
+        const sessionIds = await revokeAllSessions(req.user.id, 'logout_all');
+        disconnectSessions(sessionIds);
+
         res.json({
             success: true,
-            message: 'Logged out'
+            message: 'Logged out from all devices',
+            revokedSessions: sessionIds.length
+        });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log out from all devices'
         });
     }
 });
 
 /**
  * @route   POST /api/auth/refresh
- * @desc    Refresh access token
+ * @desc    Refresh access token (rotates the session's refresh token)
  * @access  Public (with refresh token)
  */
-router.post('/refresh', async (req, res) => {
+router.post('/refresh', rateLimit('refresh'), async (req, res) => {
     try {
         const { refreshToken } = req.body;
 
@@ -270,73 +410,277 @@ router.post('/refresh', async (req, res) => {
             });
         }
 
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+        // Verify refresh token and rotate it
+        const rotation = await rotateSession(refreshToken);
 
-        // Check if refresh token matches the one in database
-        const result = await query(
-            'SELECT * FROM users WHERE id = $1 AND refresh_token = $2',
-            [decoded.userId, refreshToken]
-        );
+        if (rotation.status === 'reuse') {
+            // An old refresh token was replayed - the session is compromised
+            console.warn(`⚠️ Refresh token reuse detected for session ${rotation.sessionId}`);
+            disconnectSessions([rotation.sessionId]);
 
-        if (result.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token reuse detected. Session revoked.'
+            });
+        }
+
+        if (rotation.status !== 'ok') {
             return res.status(401).json({
                 success: false,
                 message: 'Invalid refresh token'
             });
         }
 
-        const user = result.rows[0];
+        res.json({
+            success: true,
+            accessToken: rotation.accessToken,
+            refreshToken: rotation.refreshToken
+        });
+
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(401).json({
+            success: false,
+            message: 'Invalid or expired refresh token'
+        });
+    }
+});
 
-        // Generate new tokens
-        const tokens = generateTokens(user.id);
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link ({ email }).
+ *          Responds the same whether or not the email belongs to an account
+ * @access  Public
+ */
+router.post('/forgot-password', rateLimit('passwordReset'), forgotPasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const result = await query(
+            'SELECT id, username, email FROM users WHERE email = $1',
+            [req.body.email]
+        );
+
+        // Issue and email the token in the background so the response time
+        // does not reveal whether the account exists
+        if (result.rows.length > 0) {
+            sendPasswordReset(result.rows[0], req.ip || null).catch(error => {
+                console.error('Password reset email error:', error);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to request password reset'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with an emailed reset token ({ token, password }).
+ *          Logs out every device of the account
+ * @access  Public (with reset token)
+ */
+router.post('/reset-password', rateLimit('login'), resetPasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+
+        const userId = await consumeResetToken(token);
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        const salt = await bcrypt.genSalt(12);
+        const passwordHash = await bcrypt.hash(password, salt);
 
-        // Update refresh token in database
         await query(
-            'UPDATE users SET refresh_token = $1 WHERE id = $2',
-            [tokens.refreshToken, user.id]
+            'UPDATE users SET password_hash = $1 WHERE id = $2',
+            [passwordHash, userId]
         );
 
+        // Whoever knew the old password loses access
+        const sessionIds = await revokeAllSessions(userId, 'password_reset');
+        disconnectSessions(sessionIds);
+
         res.json({
             success: true,
-            accessToken: tokens.accessToken,
-            refreshToken: tokens.refreshToken
+            message: 'Password has been reset. Please log in again.'
         });
+    } catch (error) {
+        console.error('Reset password error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to reset password'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with the token from the verification link ({ token })
+ * @access  Public (with verification token)
+ */
+router.post('/verify-email', rateLimit('login'), verifyEmailValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const userId = await verifyEmailToken(req.body.token);
+
+        if (!userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification link'
+            });
+        }
 
+        // Lift the unverified restrictions on the user's open devices
+        emitToUser(userId, 'email_verified', { userId });
+
+        res.json({
+            success: true,
+            message: 'Email address verified'
+        });
     } catch (error) {
-        console.error('Refresh token error:', error);
-        res.status(401).json({
+        console.error('Verify email error:', error);
+        res.status(500).json({
             success: false,
-            message: 'Invalid or expired refresh token'
+            message: 'Failed to verify email address'
         });
     }
 });
 
 /**
- * @route   GET /api/auth/me
- * @desc    Get current user profile
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link
  * @access  Private
  */
-router.get('/me', async (req, res) => {
+router.post('/resend-verification', authMiddleware, rateLimit('verificationEmail'), async (req, res) => {
     try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
+        const result = await query(
+            'SELECT id, username, email, email_verified FROM users WHERE id = $1',
+            [req.user.id]
+        );
+
+        const user = result.rows[0];
+
+        if (user.email_verified) {
+            return res.status(409).json({
                 success: false,
-                message: 'No token provided'
+                message: 'Email address already verified'
             });
         }
 
-        const token = authHeader.split(' ')[1];
+        await sendVerificationEmail(user);
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send verification email'
+        });
+    }
+});
 
-        // Get user
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List active sessions (logged-in devices)
+ * @access  Private
+ */
+router.get('/sessions', authMiddleware, async (req, res) => {
+    try {
+        const sessions = await getActiveSessions(req.user.id);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => formatSessionResponse(session, req.sessionId))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Revoke a session (logs that device out)
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const revoked = await revokeSession(sessionId, 'revoked', req.user.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        disconnectSessions([sessionId]);
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get current user profile
+ * @access  Private
+ */
+router.get('/me', authMiddleware, async (req, res) => {
+    try {
         const result = await query(
-            'SELECT id, username, email, created_at, is_online, last_seen FROM users WHERE id = $1',
-            [decoded.userId]
+            'SELECT id, username, email, created_at, is_online, last_seen, email_verified, totp_enabled FROM users WHERE id = $1',
+            [req.user.id]
         );
 
         if (result.rows.length === 0) {
@@ -353,18 +697,6 @@ router.get('/me', async (req, res) => {
 
     } catch (error) {
         console.error('Get profile error:', error);
-        if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid token'
-            });
-        }
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({
-                success: false,
-                message: 'Token expired'
-            });
-        }
         res.status(500).json({
             success: false,
             message: 'Server error'
@@ -0,0 +1,335 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('../config/db');
+const authMiddleware = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    formatContactResponse,
+    formatRequestResponse,
+    getContacts,
+    areContacts,
+    getRequest,
+    getPendingRequests,
+    getPendingRequestBetween,
+    createRequest,
+    acceptRequest,
+    closeRequest,
+    removeContact
+} = require('../services/contactService');
+const { isBlockedBetween } = require('../services/blockService');
+const { checkNewConversationPolicy } = require('../services/emailVerificationService');
+const { emitToUser } = require('../socket');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// =============================================
+// HELPER FUNCTIONS
+// =============================================
+
+/**
+ * Notify both users' devices that a request was accepted, each receiving the other as contact
+ */
+const notifyAccepted = async (request) => {
+    const result = await query(
+        'SELECT id, username, is_online, last_seen, avatar_url FROM users WHERE id = ANY($1)',
+        [[request.requester_id, request.addressee_id]]
+    );
+    const usersById = new Map(result.rows.map(user => [user.id, user]));
+
+    emitToUser(request.requester_id, 'contact_accepted', {
+        requestId: request.id,
+        contact: formatContactResponse(usersById.get(request.addressee_id))
+    });
+    emitToUser(request.addressee_id, 'contact_accepted', {
+        requestId: request.id,
+        contact: formatContactResponse(usersById.get(request.requester_id))
+    });
+};
+
+/**
+ * Load a pending request the current user is the given party of, or send an error response
+ * @returns {object|null} Request row
+ */
+const loadPendingRequest = async (req, res, party) => {
+    const request = await getRequest(req.params.requestId);
+
+    if (!request || request[`${party}_id`] !== req.user.id) {
+        res.status(404).json({
+            success: false,
+            message: 'Contact request not found'
+        });
+        return null;
+    }
+
+    if (request.status !== 'pending') {
+        res.status(409).json({
+            success: false,
+            message: `Contact request already ${request.status}`
+        });
+        return null;
+    }
+
+    return request;
+};
+
+// =============================================
+// ROUTES
+// =============================================
+
+/**
+ * @route   GET /api/contacts
+ * @desc    Get your contacts
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+    try {
+        const contacts = await getContacts(req.user.id);
+
+        res.json({
+            success: true,
+            contacts: contacts.map(formatContactResponse)
+        });
+    } catch (error) {
+        console.error('Get contacts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch contacts'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/contacts/requests
+ * @desc    Get pending incoming and outgoing contact requests
+ * @access  Private
+ */
+router.get('/requests', async (req, res) => {
+    try {
+        const { incoming, outgoing } = await getPendingRequests(req.user.id);
+
+        res.json({
+            success: true,
+            incoming: incoming.map(formatRequestResponse),
+            outgoing: outgoing.map(formatRequestResponse)
+        });
+    } catch (error) {
+        console.error('Get contact requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch contact requests'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/contacts/requests
+ * @desc    Send a contact request ({ userId }); accepts theirs if they already asked you
+ * @access  Private
+ */
+router.post('/requests', rateLimit('contactRequest'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { userId: addresseeId } = req.body;
+
+        if (!addresseeId) {
+            return res.status(400).json({
+                success: false,
+                message: 'User ID is required'
+            });
+        }
+
+        if (addresseeId === userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot add yourself'
+            });
+        }
+
+        const policyError = await checkNewConversationPolicy(userId);
+        if (policyError) {
+            return res.status(403).json({
+                success: false,
+                message: policyError
+            });
+        }
+
+        const userCheck = await query('SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL', [addresseeId]);
+
+        if (userCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (await isBlockedBetween(userId, addresseeId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot send a contact request to this user'
+            });
+        }
+
+        if (await areContacts(userId, addresseeId)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Already in your contacts'
+            });
+        }
+
+        const pending = await getPendingRequestBetween(userId, addresseeId);
+
+        if (pending && pending.requester_id === userId) {
+            return res.status(409).json({
+                success: false,
+                message: 'Contact request already sent'
+            });
+        }
+
+        // They already asked - accept their request instead of creating a second one
+        if (pending) {
+            await acceptRequest(pending);
+            await notifyAccepted(pending);
+
+            return res.json({
+                success: true,
+                request: formatRequestResponse(await getRequest(pending.id))
+            });
+        }
+
+        const requestId = await createRequest(userId, addresseeId);
+        const request = formatRequestResponse(await getRequest(requestId));
+
+        emitToUser(addresseeId, 'contact_request', { request });
+
+        res.status(201).json({
+            success: true,
+            request
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'Contact request already sent'
+            });
+        }
+        console.error('Send contact request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to send contact request'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/contacts/requests/:requestId/accept
+ * @desc    Accept a contact request addressed to you
+ * @access  Private (addressee only)
+ */
+router.post('/requests/:requestId/accept', async (req, res) => {
+    try {
+        const request = await loadPendingRequest(req, res, 'addressee');
+        if (!request) return;
+
+        if (!(await acceptRequest(request))) {
+            return res.status(409).json({
+                success: false,
+                message: 'Contact request is no longer pending'
+            });
+        }
+
+        await notifyAccepted(request);
+
+        res.json({
+            success: true,
+            request: formatRequestResponse(await getRequest(request.id))
+        });
+    } catch (error) {
+        console.error('Accept contact request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to accept contact request'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/contacts/requests/:requestId/decline
+ * @desc    Decline a contact request addressed to you (the requester is not notified)
+ * @access  Private (addressee only)
+ */
+router.post('/requests/:requestId/decline', async (req, res) => {
+    try {
+        const request = await loadPendingRequest(req, res, 'addressee');
+        if (!request) return;
+
+        await closeRequest(request.id, 'declined');
+
+        res.json({
+            success: true,
+            message: 'Contact request declined'
+        });
+    } catch (error) {
+        console.error('Decline contact request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to decline contact request'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/contacts/requests/:requestId
+ * @desc    Cancel a contact request you sent
+ * @access  Private (requester only)
+ */
+router.delete('/requests/:requestId', async (req, res) => {
+    try {
+        const request = await loadPendingRequest(req, res, 'requester');
+        if (!request) return;
+
+        await closeRequest(request.id, 'cancelled');
+
+        res.json({
+            success: true,
+            message: 'Contact request cancelled'
+        });
+    } catch (error) {
+        console.error('Cancel contact request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel contact request'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/contacts/:userId
+ * @desc    Remove a contact (for both users)
+ * @access  Private
+ */
+router.delete('/:userId', async (req, res) => {
+    try {
+        const removed = await removeContact(req.user.id, req.params.userId);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Contact not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Contact removed'
+        });
+    } catch (error) {
+        console.error('Remove contact error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove contact'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,577 @@
+const express = require('express');
+const router = express.Router();
+const { query, getClient } = require('../config/db');
+const authMiddleware = require('../middleware/auth');
+const {
+    GROUP_ROLES,
+    getMembership,
+    getMembers,
+    removeGroupMember,
+    formatMemberResponse
+} = require('../services/conversationService');
+const { removeStoredFiles } = require('../services/attachmentService');
+const { checkNewConversationPolicy } = require('../services/emailVerificationService');
+const { canMessage } = require('../services/contactService');
+const { isBlockedBetween } = require('../services/blockService');
+const {
+    joinConversationRoom,
+    leaveConversationRoom,
+    emitToUser,
+    emitToConversation
+} = require('../socket');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+// =============================================
+// HELPER FUNCTIONS
+// =============================================
+
+const MAX_GROUP_NAME_LENGTH = 100;
+
+/**
+ * Format group conversation for response
+ */
+const formatGroupResponse = (conversation, members) => ({
+    id: conversation.id,
+    type: 'group',
+    name: conversation.name,
+    createdBy: conversation.created_by,
+    createdAt: conversation.created_at,
+    updatedAt: conversation.updated_at,
+    members: members.map(formatMemberResponse)
+});
+
+/**
+ * Validate a group name, returning an error message or null
+ */
+const validateGroupName = (name) => {
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+        return 'Group name is required';
+    }
+    if (name.trim().length > MAX_GROUP_NAME_LENGTH) {
+        return `Group name too long (max ${MAX_GROUP_NAME_LENGTH} characters)`;
+    }
+    return null;
+};
+
+/**
+ * Whether a role may manage members and group settings
+ */
+const canManage = (role) => role === 'owner' || role === 'admin';
+
+/**
+ * Check that a user may add these users to a group
+ * Adding someone to a group lets the actor message them, so the same block and privacy
+ * rules as direct messages apply; deleted accounts cannot be added
+ * @param {string} actorId - User adding the members
+ * @param {string[]} userIds - Users being added
+ * @returns {object|null} { status, message } error response, or null if allowed
+ */
+const checkNewMembers = async (actorId, userIds) => {
+    const usersCheck = await query(
+        'SELECT id FROM users WHERE id = ANY($1) AND deleted_at IS NULL',
+        [userIds]
+    );
+
+    if (usersCheck.rows.length !== userIds.length) {
+        return { status: 404, message: 'One or more users not found' };
+    }
+
+    for (const userId of userIds) {
+        if (await isBlockedBetween(actorId, userId)) {
+            return { status: 403, message: 'You cannot add a user you blocked or who blocked you' };
+        }
+        if (!(await canMessage(actorId, userId))) {
+            return { status: 403, message: 'One or more users only accept messages from contacts' };
+        }
+    }
+
+    return null;
+};
+
+// =============================================
+// ROUTES
+// =============================================
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group conversation
+ * @access  Private
+ */
+router.post('/', async (req, res) => {
+    let client;
+
+    try {
+        client = await getClient();
+        const userId = req.user.id;
+        const { name, memberIds = [] } = req.body;
+
+        const nameError = validateGroupName(name);
+        if (nameError) {
+            return res.status(400).json({
+                success: false,
+                message: nameError
+            });
+        }
+
+        if (!Array.isArray(memberIds)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Member IDs must be an array'
+            });
+        }
+
+        const policyError = await checkNewConversationPolicy(userId);
+        if (policyError) {
+            return res.status(403).json({
+                success: false,
+                message: policyError
+            });
+        }
+
+        const otherMemberIds = [...new Set(memberIds.map(String))].filter(id => id !== userId);
+
+        // Verify all members exist and accept being added by this user
+        if (otherMemberIds.length > 0) {
+            const memberError = await checkNewMembers(userId, otherMemberIds);
+            if (memberError) {
+                return res.status(memberError.status).json({
+                    success: false,
+                    message: memberError.message
+                });
+            }
+        }
+
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `INSERT INTO conversations (name, created_by)
+             VALUES ($1, $2)
+             RETURNING id, name, created_by, created_at, updated_at`,
+            [name.trim(), userId]
+        );
+
+        const conversation = result.rows[0];
+
+        await client.query(
+            `INSERT INTO conversation_members (conversation_id, user_id, role)
+             VALUES ($1, $2, 'owner')`,
+            [conversation.id, userId]
+        );
+
+        if (otherMemberIds.length > 0) {
+            await client.query(
+                `INSERT INTO conversation_members (conversation_id, user_id, role)
+                 SELECT $1, unnest($2::uuid[]), 'member'`,
+                [conversation.id, otherMemberIds]
+            );
+        }
+
+        await client.query('COMMIT');
+
+        const members = await getMembers(conversation.id);
+        const group = formatGroupResponse(conversation, members);
+
+        // Subscribe live sockets and notify members
+        [userId, ...otherMemberIds].forEach(memberId => {
+            joinConversationRoom(memberId, conversation.id);
+            if (memberId !== userId) {
+                emitToUser(memberId, 'conversation_created', { conversation: group });
+            }
+        });
+
+        res.status(201).json({
+            success: true,
+            conversation: group
+        });
+
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Create group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create group'
+        });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+/**
+ * @route   GET /api/groups/:conversationId
+ * @desc    Get group details with members
+ * @access  Private (members only)
+ */
+router.get('/:conversationId', async (req, res) => {
+    try {
+        const membership = await getMembership(req.params.conversationId, req.user.id);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        const members = await getMembers(membership.id);
+
+        res.json({
+            success: true,
+            conversation: {
+                ...formatGroupResponse(membership, members),
+                myRole: membership.role
+            }
+        });
+    } catch (error) {
+        console.error('Get group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch group'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/groups/:conversationId
+ * @desc    Rename a group
+ * @access  Private (owner/admin)
+ */
+router.put('/:conversationId', async (req, res) => {
+    try {
+        const { name } = req.body;
+        const membership = await getMembership(req.params.conversationId, req.user.id);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!canManage(membership.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group owners and admins can rename the group'
+            });
+        }
+
+        const nameError = validateGroupName(name);
+        if (nameError) {
+            return res.status(400).json({
+                success: false,
+                message: nameError
+            });
+        }
+
+        const result = await query(
+            `UPDATE conversations SET name = $1 WHERE id = $2
+             RETURNING id, name, updated_at`,
+            [name.trim(), membership.id]
+        );
+
+        const updated = {
+            id: result.rows[0].id,
+            name: result.rows[0].name,
+            updatedAt: result.rows[0].updated_at,
+            updatedBy: req.user.id
+        };
+
+        emitToConversation(membership.id, 'conversation_updated', updated);
+
+        res.json({
+            success: true,
+            conversation: updated
+        });
+    } catch (error) {
+        console.error('Rename group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to rename group'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/groups/:conversationId/members
+ * @desc    Add members to a group
+ * @access  Private (owner/admin)
+ */
+router.post('/:conversationId/members', async (req, res) => {
+    try {
+        const { userIds } = req.body;
+        const membership = await getMembership(req.params.conversationId, req.user.id);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!canManage(membership.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group owners and admins can add members'
+            });
+        }
+
+        if (!userIds || !Array.isArray(userIds) || userIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'User IDs array is required'
+            });
+        }
+
+        const uniqueIds = [...new Set(userIds.map(String))];
+
+        const memberError = await checkNewMembers(req.user.id, uniqueIds);
+        if (memberError) {
+            return res.status(memberError.status).json({
+                success: false,
+                message: memberError.message
+            });
+        }
+
+        const result = await query(
+            `INSERT INTO conversation_members (conversation_id, user_id, role)
+             SELECT $1, unnest($2::uuid[]), 'member'
+             ON CONFLICT (conversation_id, user_id) DO NOTHING
+             RETURNING user_id`,
+            [membership.id, uniqueIds]
+        );
+
+        const addedIds = result.rows.map(row => row.user_id);
+        const members = await getMembers(membership.id);
+        const group = formatGroupResponse(membership, members);
+
+        const addedMembers = group.members.filter(member => addedIds.includes(member.id));
+        emitToConversation(membership.id, 'member_added', {
+            conversationId: membership.id,
+            members: addedMembers,
+            addedBy: req.user.id
+        });
+
+        addedIds.forEach(memberId => {
+            joinConversationRoom(memberId, membership.id);
+            emitToUser(memberId, 'conversation_created', { conversation: group });
+        });
+
+        res.json({
+            success: true,
+            conversation: group
+        });
+    } catch (error) {
+        console.error('Add members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add members'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/groups/:conversationId/members/:userId
+ * @desc    Remove a member from a group
+ * @access  Private (owner, or admin removing a regular member)
+ */
+router.delete('/:conversationId/members/:userId', async (req, res) => {
+    try {
+        const { userId: memberId } = req.params;
+        const membership = await getMembership(req.params.conversationId, req.user.id);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (memberId === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the leave endpoint to leave a group'
+            });
+        }
+
+        const target = await getMembership(membership.id, memberId);
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const allowed = membership.role === 'owner' ||
+            (membership.role === 'admin' && target.role === 'member');
+
+        if (!allowed) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have permission to remove this member'
+            });
+        }
+
+        await query(
+            'DELETE FROM conversation_members WHERE conversation_id = $1 AND user_id = $2',
+            [membership.id, memberId]
+        );
+
+        leaveConversationRoom(memberId, membership.id);
+
+        const removed = {
+            conversationId: membership.id,
+            userId: memberId,
+            removedBy: req.user.id
+        };
+        emitToConversation(membership.id, 'member_removed', removed);
+        emitToUser(memberId, 'member_removed', removed);
+
+        res.json({
+            success: true,
+            message: 'Member removed'
+        });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove member'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/groups/:conversationId/members/:userId/role
+ * @desc    Change a member's role (admin/member)
+ * @access  Private (owner)
+ */
+router.put('/:conversationId/members/:userId/role', async (req, res) => {
+    try {
+        const { userId: memberId } = req.params;
+        const { role } = req.body;
+        const membership = await getMembership(req.params.conversationId, req.user.id);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (membership.role !== 'owner') {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can change roles'
+            });
+        }
+
+        if (!GROUP_ROLES.includes(role) || role === 'owner') {
+            return res.status(400).json({
+                success: false,
+                message: 'Role must be admin or member'
+            });
+        }
+
+        if (memberId === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const result = await query(
+            `UPDATE conversation_members SET role = $1
+             WHERE conversation_id = $2 AND user_id = $3
+             RETURNING user_id, role`,
+            [role, membership.id, memberId]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member not found'
+            });
+        }
+
+        const updated = {
+            conversationId: membership.id,
+            userId: memberId,
+            role
+        };
+        emitToConversation(membership.id, 'member_role_updated', updated);
+
+        res.json({
+            success: true,
+            member: updated
+        });
+    } catch (error) {
+        console.error('Update member role error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update member role'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/groups/:conversationId/leave
+ * @desc    Leave a group (ownership passes to the longest-standing admin or member)
+ * @access  Private (members only)
+ */
+router.post('/:conversationId/leave', async (req, res) => {
+    let client;
+
+    try {
+        client = await getClient();
+        const userId = req.user.id;
+        const membership = await getMembership(req.params.conversationId, userId);
+
+        if (!membership) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        await client.query('BEGIN');
+
+        const { newOwnerId, storageKeys } = await removeGroupMember(client, membership, userId);
+
+        await client.query('COMMIT');
+
+        await removeStoredFiles(storageKeys);
+
+        leaveConversationRoom(userId, membership.id);
+
+        emitToConversation(membership.id, 'member_removed', {
+            conversationId: membership.id,
+            userId,
+            removedBy: userId
+        });
+
+        if (newOwnerId) {
+            emitToConversation(membership.id, 'member_role_updated', {
+                conversationId: membership.id,
+                userId: newOwnerId,
+                role: 'owner'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Left group'
+        });
+    } catch (error) {
+        if (client) await client.query('ROLLBACK').catch(() => {});
+        console.error('Leave group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to leave group'
+        });
+    } finally {
+        if (client) client.release();
+    }
+});
+
+module.exports = router;
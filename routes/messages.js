@@ -2,13 +2,75 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../config/db');
 const authMiddleware = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { resolveChat, chatCondition } = require('../services/conversationService');
+const {
+    validateEmoji,
+    getReactableMessage,
+    getReactionsForMessages,
+    attachReactions,
+    addReaction,
+    removeReaction,
+    buildReactionUpdate
+} = require('../services/reactionService');
+const { attachReplyPreviews } = require('../services/replyService');
+const { attachAttachments } = require('../services/attachmentService');
+const { validateSearchParams, searchMessages } = require('../services/searchService');
+const { getMessageHistory } = require('../services/revisionService');
+const {
+    getHistoryPageSize,
+    deliverMessages,
+    sendMessage,
+    editMessage,
+    deleteMessage,
+    hideMessage,
+    clearChat,
+    markMessagesRead
+} = require('../services/messageService');
+const { notHiddenCondition } = require('../services/hiddenMessageService');
+const {
+    pinMessage,
+    unpinMessage,
+    starMessage,
+    unstarMessage,
+    getPinnedMessages,
+    getStarredMessages
+} = require('../services/pinService');
+const {
+    TRANSCRIPT_FORMATS,
+    validateTranscriptOptions,
+    getTranscriptFileName,
+    writeTranscript
+} = require('../services/transcriptService');
+const {
+    formatChatNotificationSettings,
+    validateChatNotificationSettings,
+    getChatNotificationSettings,
+    setChatNotificationSettings
+} = require('../services/notificationSettingsService');
+const { emitToUser, emitToMessageAudience } = require('../socket');
 
 // All routes require authentication
 router.use(authMiddleware);
 
+// HTTP status of each message service failure
+const FAILURE_STATUS_CODES = {
+    invalid: 400,
+    forbidden: 403,
+    not_found: 404
+};
+
+/**
+ * Send a failed message service result as an error response
+ */
+const sendFailure = (res, result) => res.status(FAILURE_STATUS_CODES[result.status]).json({
+    success: false,
+    message: result.error
+});
+
 /**
  * @route   GET /api/conversations
- * @desc    Get all conversations with last message for current user
+ * @desc    Get all direct and group conversations with last message for current user
  * @access  Private
  */
 router.get('/', async (req, res) => {
@@ -24,7 +86,8 @@ router.get('/', async (req, res) => {
                         ELSE sender_id 
                     END as partner_id
                 FROM messages
-                WHERE sender_id = $1 OR receiver_id = $1
+                WHERE (sender_id = $1 OR receiver_id = $1) AND conversation_id IS NULL
+                  AND ${notHiddenCondition('$1', 'messages')}
             ),
             last_messages AS (
                 SELECT DISTINCT ON (partner_id)
@@ -33,6 +96,7 @@ router.get('/', async (req, res) => {
                     m.sender_id,
                     m.receiver_id,
                     m.content,
+                    m.message_type,
                     m.created_at,
                     m.is_read
                 FROM conversation_partners cp
@@ -40,6 +104,7 @@ router.get('/', async (req, res) => {
                     (m.sender_id = $1 AND m.receiver_id = cp.partner_id) OR
                     (m.sender_id = cp.partner_id AND m.receiver_id = $1)
                 )
+                WHERE ${notHiddenCondition('$1')}
                 ORDER BY cp.partner_id, m.created_at DESC
             ),
             unread_counts AS (
@@ -48,32 +113,77 @@ router.get('/', async (req, res) => {
                     COUNT(*) as unread_count
                 FROM messages
                 WHERE receiver_id = $1 AND is_read = false
+                  AND ${notHiddenCondition('$1', 'messages')}
                 GROUP BY sender_id
             )
             SELECT 
                 u.id,
                 u.username,
-                u.email,
                 u.is_online,
                 u.last_seen,
                 u.avatar_url,
                 lm.message_id,
                 lm.sender_id as last_message_sender_id,
                 lm.content as last_message_content,
+                lm.message_type as last_message_type,
                 lm.created_at as last_message_at,
                 lm.is_read as last_message_is_read,
-                COALESCE(uc.unread_count, 0) as unread_count
+                COALESCE(uc.unread_count, 0) as unread_count,
+                ns.muted_forever,
+                ns.muted_until,
+                ns.mentions_only
             FROM last_messages lm
             JOIN users u ON u.id = lm.partner_id
             LEFT JOIN unread_counts uc ON uc.partner_id = lm.partner_id
+            LEFT JOIN chat_notification_settings ns ON ns.user_id = $1 AND ns.partner_id = lm.partner_id
             ORDER BY lm.created_at DESC`,
             [userId]
         );
 
-        const conversations = result.rows.map(row => ({
+        // Group conversations with last message and unread count since the read marker
+        const groupResult = await query(
+            `SELECT
+                c.id,
+                c.name,
+                c.created_at,
+                cm.role,
+                (SELECT COUNT(*) FROM conversation_members WHERE conversation_id = c.id) as member_count,
+                lm.id as message_id,
+                lm.sender_id as last_message_sender_id,
+                lm.sender_username as last_message_sender_username,
+                lm.content as last_message_content,
+                lm.message_type as last_message_type,
+                lm.created_at as last_message_at,
+                (
+                    SELECT COUNT(*) FROM messages um
+                    WHERE um.conversation_id = c.id
+                      AND um.sender_id != $1
+                      AND um.created_at > COALESCE(cm.last_read_at, cm.joined_at)
+                      AND ${notHiddenCondition('$1', 'um')}
+                ) as unread_count,
+                ns.muted_forever,
+                ns.muted_until,
+                ns.mentions_only
+            FROM conversation_members cm
+            JOIN conversations c ON c.id = cm.conversation_id
+            LEFT JOIN chat_notification_settings ns ON ns.user_id = $1 AND ns.conversation_id = c.id
+            LEFT JOIN LATERAL (
+                SELECT m.id, m.sender_id, m.content, m.message_type, m.created_at, u.username as sender_username
+                FROM messages m
+                JOIN users u ON u.id = m.sender_id
+                WHERE m.conversation_id = c.id
+                  AND ${notHiddenCondition('$1')}
+                ORDER BY m.created_at DESC
+                LIMIT 1
+            ) lm ON true
+            WHERE cm.user_id = $1`,
+            [userId]
+        );
+
+        const directConversations = result.rows.map(row => ({
+            type: 'direct',
             id: row.id,
             username: row.username,
-            email: row.email,
             isOnline: row.is_online,
             lastSeen: row.last_seen,
             avatarUrl: row.avatar_url,
@@ -81,13 +191,42 @@ router.get('/', async (req, res) => {
                 id: row.message_id,
                 senderId: row.last_message_sender_id,
                 content: row.last_message_content,
+                messageType: row.last_message_type,
                 createdAt: row.last_message_at,
                 isRead: row.last_message_is_read,
                 isFromMe: row.last_message_sender_id === userId
             } : null,
-            unreadCount: parseInt(row.unread_count, 10)
+            unreadCount: parseInt(row.unread_count, 10),
+            notifications: formatChatNotificationSettings(row)
+        }));
+
+        const groupConversations = groupResult.rows.map(row => ({
+            type: 'group',
+            id: row.id,
+            name: row.name,
+            createdAt: row.created_at,
+            role: row.role,
+            memberCount: parseInt(row.member_count, 10),
+            lastMessage: row.message_id ? {
+                id: row.message_id,
+                senderId: row.last_message_sender_id,
+                senderUsername: row.last_message_sender_username,
+                content: row.last_message_content,
+                messageType: row.last_message_type,
+                createdAt: row.last_message_at,
+                isFromMe: row.last_message_sender_id === userId
+            } : null,
+            unreadCount: parseInt(row.unread_count, 10),
+            notifications: formatChatNotificationSettings(row)
         }));
 
+        // Most recent activity first (groups without messages sort by creation time)
+        const activityAt = (conversation) =>
+            new Date(conversation.lastMessage ? conversation.lastMessage.createdAt : conversation.createdAt);
+
+        const conversations = [...directConversations, ...groupConversations]
+            .sort((a, b) => activityAt(b) - activityAt(a));
+
         res.json({
             success: true,
             conversations
@@ -101,49 +240,126 @@ router.get('/', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/messages/search?q=&partnerId=&from=&to=&cursor=&limit=
+ * @desc    Full-text search across all of the user's conversations, newest first.
+ *          partnerId (user or group ID) and from/to (ISO dates) narrow the results;
+ *          snippets are HTML-escaped with matches wrapped in <mark>
+ * @access  Private
+ */
+router.get('/search', async (req, res) => {
+    try {
+        const { q, partnerId, from, to, cursor, limit } = req.query;
+
+        const validationError = validateSearchParams({ q, partnerId, from, to });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const page = await searchMessages(req.user.id, { q, partnerId, from, to, cursor, limit });
+
+        if (!page) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...page
+        });
+    } catch (error) {
+        console.error('Search messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to search messages'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/messages/starred?cursor=&limit=
+ * @desc    Your starred messages across all conversations, most recently starred first
+ * @access  Private
+ */
+router.get('/starred', async (req, res) => {
+    try {
+        const { cursor, limit } = req.query;
+
+        const page = await getStarredMessages(req.user.id, { cursor, limit });
+
+        if (!page) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...page
+        });
+    } catch (error) {
+        console.error('Get starred messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch starred messages'
+        });
+    }
+});
+
 /**
  * @route   GET /api/messages/:partnerId
- * @desc    Get message history with a specific user
+ * @desc    Get message history with a specific user or group conversation
  * @access  Private
  */
 router.get('/:partnerId', async (req, res) => {
     try {
         const userId = req.user.id;
         const { partnerId } = req.params;
-        const { limit = 50, before } = req.query;
+        const { limit, before } = req.query;
+        const pageSize = getHistoryPageSize(limit);
 
-        // Verify partner exists
-        const partnerCheck = await query(
-            'SELECT id, username FROM users WHERE id = $1',
-            [partnerId]
-        );
+        // Resolve partner user or group conversation
+        const chat = await resolveChat(userId, partnerId);
 
-        if (partnerCheck.rows.length === 0) {
+        if (!chat) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
             });
         }
 
+        // Fetching history delivers the partner's pending messages
+        if (chat.type === 'direct') {
+            await deliverMessages(userId, { senderId: chat.id });
+        }
+
         let queryText = `
             SELECT 
                 m.id, 
                 m.sender_id, 
                 m.receiver_id, 
+                m.conversation_id,
                 m.content, 
+                m.message_type,
+                m.reply_to_id,
                 m.created_at, 
+                m.delivered_at,
                 m.is_read, 
                 m.read_at,
                 u.username as sender_username
             FROM messages m
             JOIN users u ON m.sender_id = u.id
-            WHERE (
-                (m.sender_id = $1 AND m.receiver_id = $2) OR
-                (m.sender_id = $2 AND m.receiver_id = $1)
-            )
+            WHERE ${chatCondition(chat)}
+              AND ${notHiddenCondition('$1')}
         `;
 
-        const params = [userId, partnerId];
+        const params = [userId, chat.id];
 
         if (before) {
             queryText += ` AND m.created_at < $3`;
@@ -151,33 +367,48 @@ router.get('/:partnerId', async (req, res) => {
         }
 
         queryText += ` ORDER BY m.created_at DESC LIMIT $${params.length + 1}`;
-        params.push(parseInt(limit, 10));
+        // One row past the page tells whether there is more
+        params.push(pageSize + 1);
 
         const result = await query(queryText, params);
+        const hasMore = result.rows.length > pageSize;
+        const rows = result.rows.slice(0, pageSize);
 
-        const messages = result.rows.map(row => ({
+        const messages = await attachReactions(await attachAttachments(await attachReplyPreviews(rows.map(row => ({
             id: row.id,
             senderId: row.sender_id,
             receiverId: row.receiver_id,
+            conversationId: row.conversation_id,
             content: row.content,
+            messageType: row.message_type,
+            replyToId: row.reply_to_id,
             createdAt: row.created_at,
+            deliveredAt: row.delivered_at,
             isRead: row.is_read,
             readAt: row.read_at,
             senderUsername: row.sender_username
-        })).reverse(); // Reverse to get chronological order
+        })).reverse()))); // Reverse to get chronological order
 
-        const hasMore = result.rows.length === parseInt(limit, 10);
-        const nextCursor = hasMore ? result.rows[result.rows.length - 1]?.created_at : null;
+        const nextCursor = hasMore ? rows[rows.length - 1].created_at : null;
 
         res.json({
             success: true,
             messages,
             hasMore,
             nextCursor,
-            partner: {
-                id: partnerCheck.rows[0].id,
-                username: partnerCheck.rows[0].username
-            }
+            ...(chat.type === 'group' ? {
+                conversation: {
+                    id: chat.conversation.id,
+                    name: chat.conversation.name,
+                    role: chat.conversation.role,
+                    lastReadAt: chat.conversation.last_read_at
+                }
+            } : {
+                partner: {
+                    id: chat.partner.id,
+                    username: chat.partner.username
+                }
+            })
         });
     } catch (error) {
         console.error('Get messages error:', error);
@@ -189,68 +420,130 @@ router.get('/:partnerId', async (req, res) => {
 });
 
 /**
- * @route   POST /api/messages/:partnerId
- * @desc    Send a message via REST (fallback for socket issues)
+ * @route   GET /api/messages/:partnerId/export?format=json|txt|html&timezone=
+ * @desc    Download the entire history of a direct chat or group as a transcript.
+ *          Times are shown in timezone (default: your notification time zone)
  * @access  Private
  */
-router.post('/:partnerId', async (req, res) => {
+router.get('/:partnerId/export', rateLimit('dataExport'), async (req, res) => {
     try {
         const userId = req.user.id;
-        const { partnerId } = req.params;
-        const { content } = req.body;
+        const { format = 'json' } = req.query;
+        let { timezone } = req.query;
+
+        if (timezone === undefined) {
+            const result = await query('SELECT timezone FROM users WHERE id = $1', [userId]);
+            timezone = result.rows[0].timezone;
+        }
 
-        if (!content || content.trim().length === 0) {
+        const validationError = validateTranscriptOptions({ format, timezone });
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Message content is required'
+                message: validationError
             });
         }
 
-        if (content.length > 5000) {
-            return res.status(400).json({
+        const chat = await resolveChat(userId, req.params.partnerId);
+
+        if (!chat) {
+            return res.status(404).json({
                 success: false,
-                message: 'Message too long (max 5000 characters)'
+                message: 'User not found'
             });
         }
 
-        // Verify partner exists
-        const partnerCheck = await query(
-            'SELECT id, username FROM users WHERE id = $1',
-            [partnerId]
-        );
+        res.set({
+            'Content-Type': TRANSCRIPT_FORMATS[format].contentType,
+            'Content-Disposition': `attachment; filename="${getTranscriptFileName(chat, format)}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        await writeTranscript(userId, chat, { format, timezone }, res);
+        res.end();
+    } catch (error) {
+        console.error('Export conversation error:', error);
+
+        // Part of the file may already be on its way; cut it off so it is not mistaken for complete
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export conversation'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/messages/:partnerId/pinned?cursor=&limit=
+ * @desc    Pinned messages of a direct chat or group, most recently pinned first
+ * @access  Private
+ */
+router.get('/:partnerId/pinned', async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { cursor, limit } = req.query;
+
+        const chat = await resolveChat(userId, req.params.partnerId);
 
-        if (partnerCheck.rows.length === 0) {
+        if (!chat) {
             return res.status(404).json({
                 success: false,
-                message: 'Recipient not found'
+                message: 'Conversation not found'
             });
         }
 
-        // Insert message
-        const result = await query(
-            `INSERT INTO messages (sender_id, receiver_id, content)
-             VALUES ($1, $2, $3)
-             RETURNING id, sender_id, receiver_id, content, created_at, is_read, read_at`,
-            [userId, partnerId, content.trim()]
-        );
+        const page = await getPinnedMessages(userId, chat, { cursor, limit });
+
+        if (!page) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid cursor'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...page
+        });
+    } catch (error) {
+        console.error('Get pinned messages error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch pinned messages'
+        });
+    }
+});
 
-        const message = {
-            id: result.rows[0].id,
-            senderId: result.rows[0].sender_id,
-            receiverId: result.rows[0].receiver_id,
-            content: result.rows[0].content,
-            createdAt: result.rows[0].created_at,
-            isRead: result.rows[0].is_read,
-            readAt: result.rows[0].read_at,
-            senderUsername: req.user.username
-        };
+/**
+ * @route   POST /api/messages/:partnerId
+ * @desc    Send a message to a user or group conversation via REST; recipients receive it live
+ *          exactly as if it was sent over the socket.
+ *          Optional replyToId quotes an earlier message of the same conversation;
+ *          optional attachmentIds sends files uploaded via POST /api/attachments
+ * @access  Private
+ */
+router.post('/:partnerId', rateLimit('message'), async (req, res) => {
+    try {
+        const { replyToId, attachmentIds } = req.body;
+
+        const result = await sendMessage(req.user, {
+            chatId: req.params.partnerId,
+            content: req.body.content,
+            replyToId,
+            attachmentIds: attachmentIds || []
+        });
+
+        if (result.status !== 'ok') {
+            return sendFailure(res, result);
+        }
 
         res.status(201).json({
             success: true,
-            message
+            message: result.message
         });
-
-        // Note: Socket notification should be handled separately if needed
     } catch (error) {
         console.error('Send message error:', error);
         res.status(500).json({
@@ -261,34 +554,101 @@ router.post('/:partnerId', async (req, res) => {
 });
 
 /**
- * @route   PUT /api/messages/read
- * @desc    Mark messages as read
+ * @route   GET /api/conversations/:partnerId/notifications
+ * @desc    Get your notification settings for a direct chat or group
  * @access  Private
  */
-router.put('/read', async (req, res) => {
+router.get('/:partnerId/notifications', async (req, res) => {
+    try {
+        const chat = await resolveChat(req.user.id, req.params.partnerId);
+
+        if (!chat) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            notifications: await getChatNotificationSettings(req.user.id, chat)
+        });
+    } catch (error) {
+        console.error('Get chat notification settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notification settings'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/conversations/:partnerId/notifications
+ * @desc    Mute or unmute a direct chat or group ({ muted, mutedUntil, mentionsOnly }).
+ *          muted: true mutes until unmuted, mutedUntil (ISO date) mutes until then;
+ *          mentionsOnly (groups) pushes only messages that @mention you
+ * @access  Private
+ */
+router.put('/:partnerId/notifications', async (req, res) => {
     try {
         const userId = req.user.id;
-        const { messageIds } = req.body;
+        const { muted, mutedUntil, mentionsOnly } = req.body;
 
-        if (!messageIds || !Array.isArray(messageIds) || messageIds.length === 0) {
+        const chat = await resolveChat(userId, req.params.partnerId);
+
+        if (!chat) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const validationError = validateChatNotificationSettings({ muted, mutedUntil, mentionsOnly }, chat);
+        if (validationError) {
             return res.status(400).json({
                 success: false,
-                message: 'Message IDs array is required'
+                message: validationError
             });
         }
 
-        const readAt = new Date();
+        const notifications = await setChatNotificationSettings(userId, chat, { muted, mutedUntil, mentionsOnly });
 
-        await query(
-            `UPDATE messages 
-             SET is_read = true, read_at = $1 
-             WHERE id = ANY($2) AND receiver_id = $3 AND is_read = false`,
-            [readAt, messageIds, userId]
-        );
+        // Keep the user's other devices in sync
+        emitToUser(userId, 'chat_notifications_updated', {
+            type: chat.type,
+            id: chat.id,
+            notifications
+        });
+
+        res.json({
+            success: true,
+            notifications
+        });
+    } catch (error) {
+        console.error('Update chat notification settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification settings'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/messages/read
+ * @desc    Mark messages as read (senders or group members get messages_read)
+ * @access  Private
+ */
+router.put('/read', async (req, res) => {
+    try {
+        const result = await markMessagesRead(req.user.id, req.body.messageIds);
+
+        if (result.status !== 'ok') {
+            return sendFailure(res, result);
+        }
 
         res.json({
             success: true,
-            readAt: readAt.toISOString()
+            readAt: result.readAt.toISOString()
         });
     } catch (error) {
         console.error('Mark read error:', error);
@@ -300,49 +660,34 @@ router.put('/read', async (req, res) => {
 });
 
 /**
- * @route   DELETE /api/messages/message/:messageId
- * @desc    Delete a message (soft delete)
+ * @route   DELETE /api/messages/message/:messageId?scope=everyone|me
+ * @desc    Delete a message. scope=everyone (default, sender only, within
+ *          MESSAGE_DELETE_WINDOW_MINUTES) soft-deletes it and notifies the chat with message_deleted;
+ *          scope=me hides it only for you and your other devices get message_hidden
  * @access  Private
  */
 router.delete('/message/:messageId', async (req, res) => {
     try {
-        const userId = req.user.id;
-        const { messageId } = req.params;
+        const { scope = 'everyone' } = req.query;
 
-        // Verify message belongs to user
-        const messageCheck = await query(
-            'SELECT id, sender_id, receiver_id FROM messages WHERE id = $1',
-            [messageId]
-        );
-
-        if (messageCheck.rows.length === 0) {
-            return res.status(404).json({
+        if (scope !== 'everyone' && scope !== 'me') {
+            return res.status(400).json({
                 success: false,
-                message: 'Message not found'
+                message: 'scope must be one of: everyone, me'
             });
         }
 
-        const message = messageCheck.rows[0];
+        const result = scope === 'me'
+            ? await hideMessage(req.user.id, req.params.messageId)
+            : await deleteMessage(req.user.id, req.params.messageId);
 
-        // Only sender can delete their message
-        if (message.sender_id !== userId) {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only delete your own messages'
-            });
+        if (result.status !== 'ok') {
+            return sendFailure(res, result);
         }
 
-        // Soft delete the message
-        await query(
-            `UPDATE messages 
-             SET is_deleted = true, deleted_at = NOW(), content = '[Message deleted]'
-             WHERE id = $1`,
-            [messageId]
-        );
-
         res.json({
             success: true,
-            message: 'Message deleted'
+            message: scope === 'me' ? 'Message deleted for you' : 'Message deleted'
         });
 
     } catch (error) {
@@ -356,128 +701,348 @@ router.delete('/message/:messageId', async (req, res) => {
 
 /**
  * @route   PUT /api/messages/message/:messageId
- * @desc    Edit a message
+ * @desc    Edit a message (within MESSAGE_EDIT_WINDOW_MINUTES of sending); the replaced text is kept as a revision
  * @access  Private
  */
 router.put('/message/:messageId', async (req, res) => {
+    try {
+        const result = await editMessage(req.user.id, req.params.messageId, req.body.content);
+
+        if (result.status !== 'ok') {
+            return sendFailure(res, result);
+        }
+
+        const edited = result.message;
+
+        const [updatedMessage] = await attachAttachments(await attachReplyPreviews([{
+            id: edited.id,
+            senderId: edited.sender_id,
+            receiverId: edited.receiver_id,
+            conversationId: edited.conversation_id,
+            content: edited.content,
+            messageType: edited.message_type,
+            replyToId: edited.reply_to_id,
+            createdAt: edited.created_at,
+            deliveredAt: edited.delivered_at,
+            isRead: edited.is_read,
+            readAt: edited.read_at,
+            isEdited: edited.is_edited,
+            editedAt: edited.edited_at
+        }]));
+
+        res.json({
+            success: true,
+            message: updatedMessage
+        });
+
+    } catch (error) {
+        console.error('Edit message error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to edit message'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/messages/message/:messageId/history
+ * @desc    Get a message's edit history (earlier versions, oldest first)
+ * @access  Private (chat participants)
+ */
+router.get('/message/:messageId/history', async (req, res) => {
+    try {
+        const history = await getMessageHistory(req.params.messageId, req.user.id);
+
+        if (!history) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            history
+        });
+    } catch (error) {
+        console.error('Get message history error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch message history'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/messages/message/:messageId/reactions
+ * @desc    Get aggregated reactions for a message
+ * @access  Private (chat participants)
+ */
+router.get('/message/:messageId/reactions', async (req, res) => {
+    try {
+        const message = await getReactableMessage(req.params.messageId, req.user.id);
+
+        if (!message) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        const reactionsByMessage = await getReactionsForMessages([message.id]);
+
+        res.json({
+            success: true,
+            messageId: message.id,
+            reactions: reactionsByMessage.get(message.id) || []
+        });
+    } catch (error) {
+        console.error('Get reactions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch reactions'
+        });
+    }
+});
+
+/**
+ * Add or remove the current user's reaction, notifying everyone in the chat
+ */
+const updateReaction = (action) => async (req, res) => {
     try {
         const userId = req.user.id;
-        const { messageId } = req.params;
-        const { content } = req.body;
+        const emoji = action === 'added' ? req.body.emoji : req.params.emoji;
 
-        if (!content || content.trim().length === 0) {
+        const emojiError = validateEmoji(emoji);
+        if (emojiError) {
             return res.status(400).json({
                 success: false,
-                message: 'Message content is required'
+                message: emojiError
             });
         }
 
-        // Verify message belongs to user
-        const messageCheck = await query(
-            'SELECT id, sender_id, content, is_deleted FROM messages WHERE id = $1',
-            [messageId]
-        );
+        const message = await getReactableMessage(req.params.messageId, userId);
 
-        if (messageCheck.rows.length === 0) {
+        if (!message) {
             return res.status(404).json({
                 success: false,
                 message: 'Message not found'
             });
         }
 
-        const message = messageCheck.rows[0];
+        if (message.is_deleted) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot react to a deleted message'
+            });
+        }
+
+        const changed = action === 'added'
+            ? await addReaction(message.id, userId, emoji)
+            : await removeReaction(message.id, userId, emoji);
+
+        const update = await buildReactionUpdate(message, userId, emoji, action);
+
+        if (changed) {
+            emitToMessageAudience(message, 'reaction_updated', update);
+        }
+
+        res.status(action === 'added' && changed ? 201 : 200).json({
+            success: true,
+            ...update
+        });
+    } catch (error) {
+        console.error('Update reaction error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update reaction'
+        });
+    }
+};
+
+/**
+ * @route   POST /api/messages/message/:messageId/reactions
+ * @desc    React to a message with an emoji ({ emoji })
+ * @access  Private (chat participants)
+ */
+router.post('/message/:messageId/reactions', updateReaction('added'));
+
+/**
+ * @route   DELETE /api/messages/message/:messageId/reactions/:emoji
+ * @desc    Remove your reaction (emoji is URL-encoded)
+ * @access  Private (chat participants)
+ */
+router.delete('/message/:messageId/reactions/:emoji', updateReaction('removed'));
 
-        if (message.sender_id !== userId) {
-            return res.status(403).json({
+/**
+ * Build a pin or unpin handler
+ * Both participants of a direct chat and every group member may pin and unpin;
+ * the whole chat receives message_pinned / message_unpinned
+ * @param {string} action - 'pinned' or 'unpinned'
+ */
+const updatePin = (action) => async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const message = await getReactableMessage(req.params.messageId, userId);
+
+        if (!message) {
+            return res.status(404).json({
                 success: false,
-                message: 'You can only edit your own messages'
+                message: 'Message not found'
             });
         }
 
         if (message.is_deleted) {
             return res.status(400).json({
                 success: false,
-                message: 'Cannot edit a deleted message'
+                message: 'Cannot pin a deleted message'
             });
         }
 
-        // Update message with edit tracking
-        const result = await query(
-            `UPDATE messages 
-             SET content = $1, 
-                 is_edited = true, 
-                 edited_at = NOW(),
-                 original_content = COALESCE(original_content, $2)
-             WHERE id = $3
-             RETURNING id, sender_id, receiver_id, content, created_at, is_read, is_edited, edited_at`,
-            [content.trim(), message.content, messageId]
-        );
+        if (action === 'pinned') {
+            const pin = await pinMessage(message.id, userId);
 
-        res.json({
-            success: true,
-            message: {
-                id: result.rows[0].id,
-                senderId: result.rows[0].sender_id,
-                receiverId: result.rows[0].receiver_id,
-                content: result.rows[0].content,
-                createdAt: result.rows[0].created_at,
-                isRead: result.rows[0].is_read,
-                isEdited: result.rows[0].is_edited,
-                editedAt: result.rows[0].edited_at
+            if (pin) {
+                emitToMessageAudience(message, 'message_pinned', {
+                    messageId: message.id,
+                    conversationId: message.conversation_id,
+                    pinnedBy: userId,
+                    pinnedAt: pin.pinnedAt
+                });
             }
-        });
 
+            return res.status(pin ? 201 : 200).json({
+                success: true,
+                message: pin ? 'Message pinned' : 'Message already pinned'
+            });
+        }
+
+        const changed = await unpinMessage(message.id);
+
+        if (changed) {
+            emitToMessageAudience(message, 'message_unpinned', {
+                messageId: message.id,
+                conversationId: message.conversation_id,
+                unpinnedBy: userId
+            });
+        }
 
+        res.json({
+            success: true,
+            message: changed ? 'Message unpinned' : 'Message was not pinned'
+        });
     } catch (error) {
-        console.error('Edit message error:', error);
+        console.error('Update pin error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to edit message'
+            message: 'Failed to update pin'
         });
     }
-});
+};
 
 /**
- * @route   DELETE /api/messages/conversations/:partnerId
- * @desc    Delete entire conversation with a user (Hard Delete for MVP)
- * @access  Private
+ * @route   POST /api/messages/message/:messageId/pin
+ * @desc    Pin a message in its chat
+ * @access  Private (chat participants)
  */
-router.delete('/conversations/:partnerId', async (req, res) => {
+router.post('/message/:messageId/pin', updatePin('pinned'));
+
+/**
+ * @route   DELETE /api/messages/message/:messageId/pin
+ * @desc    Unpin a message
+ * @access  Private (chat participants)
+ */
+router.delete('/message/:messageId/pin', updatePin('unpinned'));
+
+/**
+ * Build a star or unstar handler
+ * Stars are private: only your own devices are told, with message_starred / message_unstarred
+ * @param {string} action - 'starred' or 'unstarred'
+ */
+const updateStar = (action) => async (req, res) => {
     try {
         const userId = req.user.id;
-        const { partnerId } = req.params;
+        const message = await getReactableMessage(req.params.messageId, userId);
 
-        // Verify partner exists
-        const partnerCheck = await query(
-            'SELECT id FROM users WHERE id = $1',
-            [partnerId]
-        );
-
-        if (partnerCheck.rows.length === 0) {
+        if (!message) {
             return res.status(404).json({
                 success: false,
-                message: 'User not found'
+                message: 'Message not found'
             });
         }
 
-        // Hard delete all messages between these two users
-        await query(
-            `DELETE FROM messages 
-             WHERE (sender_id = $1 AND receiver_id = $2) 
-                OR (sender_id = $2 AND receiver_id = $1)`,
-            [userId, partnerId]
-        );
+        if (message.is_deleted) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot star a deleted message'
+            });
+        }
+
+        const changed = action === 'starred'
+            ? await starMessage(message.id, userId)
+            : await unstarMessage(message.id, userId);
+
+        if (changed) {
+            emitToUser(userId, action === 'starred' ? 'message_starred' : 'message_unstarred', {
+                messageId: message.id,
+                conversationId: message.conversation_id
+            });
+        }
+
+        res.status(action === 'starred' && changed ? 201 : 200).json({
+            success: true,
+            messageId: message.id,
+            starred: action === 'starred'
+        });
+    } catch (error) {
+        console.error('Update star error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update star'
+        });
+    }
+};
+
+/**
+ * @route   POST /api/messages/message/:messageId/star
+ * @desc    Star a message for yourself
+ * @access  Private (chat participants)
+ */
+router.post('/message/:messageId/star', updateStar('starred'));
+
+/**
+ * @route   DELETE /api/messages/message/:messageId/star
+ * @desc    Remove your star from a message
+ * @access  Private (chat participants)
+ */
+router.delete('/message/:messageId/star', updateStar('unstarred'));
+
+/**
+ * @route   DELETE /api/messages/conversations/:partnerId
+ * @desc    Clear a direct chat or group for yourself; the other participants keep their history
+ *          and your other devices get chat_cleared
+ * @access  Private
+ */
+router.delete('/conversations/:partnerId', async (req, res) => {
+    try {
+        const result = await clearChat(req.user.id, req.params.partnerId);
+
+        if (result.status !== 'ok') {
+            return sendFailure(res, result);
+        }
 
         res.json({
             success: true,
-            message: 'Conversation deleted'
+            message: 'Conversation cleared',
+            clearedAt: result.clearedAt,
+            hiddenCount: result.hiddenCount
         });
 
     } catch (error) {
-        console.error('Delete conversation error:', error);
+        console.error('Clear conversation error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to delete conversation'
+            message: 'Failed to clear conversation'
         });
     }
 });
@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const {
+    getCurrentCursor,
+    getChangesSince,
+    getReceivedMessageIds
+} = require('../services/syncService');
+const { markMessagesDelivered, buildDeliveredEvents } = require('../services/receiptService');
+const { emitToUser } = require('../socket');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/sync?since=<cursor>&limit=
+ * @desc    Get everything that changed since a cursor (new messages, edits,
+ *          deletions, read receipts, and messages you deleted for yourself
+ *          or chats you cleared), oldest first.
+ *          Without `since`, returns the current cursor to start syncing from.
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { since, limit } = req.query;
+
+        if (!since) {
+            return res.json({
+                success: true,
+                events: [],
+                cursor: await getCurrentCursor(),
+                hasMore: false
+            });
+        }
+
+        const changes = await getChangesSince(req.user.id, since, limit);
+
+        if (!changes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid sync cursor'
+            });
+        }
+
+        // Synced messages have reached this device
+        const receivedIds = getReceivedMessageIds(changes, req.user.id);
+        if (receivedIds.length > 0) {
+            const delivery = await markMessagesDelivered(req.user.id, { messageIds: receivedIds });
+            buildDeliveredEvents(req.user.id, delivery).forEach(({ senderId, payload }) => {
+                emitToUser(senderId, 'messages_delivered', payload);
+            });
+        }
+
+        res.json({
+            success: true,
+            ...changes
+        });
+    } catch (error) {
+        console.error('Sync error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to sync changes'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,161 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { query } = require('../config/db');
+const authMiddleware = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const {
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifyTwoFactorCode,
+    disableTwoFactor
+} = require('../services/twoFactorService');
+
+// All routes require authentication
+router.use(authMiddleware);
+
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get your two-factor status
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            twoFactor: await getTwoFactorStatus(req.user.id)
+        });
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch two-factor status'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolling an authenticator app; returns the secret and an otpauth:// URI (for a QR code).
+ *          2FA stays off until confirmed with a first code
+ * @access  Private
+ */
+router.post('/setup', async (req, res) => {
+    try {
+        const enrollment = await startEnrollment(req.user);
+
+        if (!enrollment) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        res.json({
+            success: true,
+            secret: enrollment.secret,
+            otpauthUri: enrollment.otpauthUri
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start two-factor setup'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/confirm
+ * @desc    Turn 2FA on with a first code from the app ({ code }); returns backup codes (shown once)
+ * @access  Private
+ */
+router.post('/confirm', rateLimit('login'), async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification code is required'
+            });
+        }
+
+        const backupCodes = await confirmEnrollment(req.user.id, code);
+
+        if (!backupCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid verification code, or two-factor setup was not started'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            backupCodes
+        });
+    } catch (error) {
+        console.error('Two-factor confirm error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to enable two-factor authentication'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn 2FA off ({ password, code }); code is a TOTP or backup code
+ * @access  Private
+ */
+router.post('/disable', rateLimit('login'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { password, code } = req.body;
+
+        if (!password || !code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and verification code are required'
+            });
+        }
+
+        const result = await query(
+            'SELECT password_hash, totp_enabled FROM users WHERE id = $1',
+            [userId]
+        );
+
+        if (!result.rows[0].totp_enabled) {
+            return res.status(409).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const isMatch = await bcrypt.compare(String(password), result.rows[0].password_hash);
+
+        if (!isMatch || !(await verifyTwoFactorCode(userId, code))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or verification code'
+            });
+        }
+
+        await disableTwoFactor(userId);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Two-factor disable error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
+module.exports = router;
@@ -1,35 +1,51 @@
 const express = require('express');
 const router = express.Router();
+const bcrypt = require('bcryptjs');
 const { query } = require('../config/db');
 const authMiddleware = require('../middleware/auth');
+const rateLimit = require('../middleware/rateLimit');
+const { blockUser, unblockUser, getBlockedUsers } = require('../services/blockService');
+const {
+    formatDeviceTokenResponse,
+    validateDeviceToken,
+    registerDeviceToken,
+    unregisterDeviceToken,
+    getDeviceTokens
+} = require('../services/deviceTokenService');
+const {
+    MESSAGE_PRIVACY_OPTIONS,
+    getContacts,
+    getMessagePrivacy,
+    setMessagePrivacy
+} = require('../services/contactService');
+const {
+    validateNotificationPreferences,
+    getNotificationPreferences,
+    setNotificationPreferences
+} = require('../services/notificationSettingsService');
+const { verifyTwoFactorCode } = require('../services/twoFactorService');
+const { writeAccountExport, scheduleDeletion } = require('../services/accountService');
+const { disconnectSessions } = require('../socket');
 
 // All routes require authentication
 router.use(authMiddleware);
 
 /**
  * @route   GET /api/users
- * @desc    Get all users (for contacts list)
+ * @desc    Get your contacts (the global directory was replaced by contacts and search)
  * @access  Private
  */
 router.get('/', async (req, res) => {
     try {
-        const result = await query(
-            `SELECT id, username, email, is_online, last_seen, created_at, avatar_url 
-             FROM users 
-             WHERE id != $1 
-             ORDER BY username ASC`,
-            [req.user.id]
-        );
+        const contacts = await getContacts(req.user.id);
 
         res.json({
             success: true,
-            users: result.rows.map(user => ({
+            users: contacts.map(user => ({
                 id: user.id,
                 username: user.username,
-                email: user.email,
                 isOnline: user.is_online,
                 lastSeen: user.last_seen,
-                createdAt: user.created_at,
                 avatarUrl: user.avatar_url
             }))
         });
@@ -44,7 +60,9 @@ router.get('/', async (req, res) => {
 
 /**
  * @route   GET /api/users/search
- * @desc    Search users by username or email
+ * @desc    Search users by username, or your contacts by exact email, excluding users
+ *          you blocked. Emails are never returned, and matching strangers by email
+ *          would reveal which addresses are registered
  * @access  Private
  */
 router.get('/search', async (req, res) => {
@@ -61,15 +79,19 @@ router.get('/search', async (req, res) => {
         const searchTerm = `%${q.trim().toLowerCase()}%`;
 
         const result = await query(
-            `SELECT id, username, email, is_online, last_seen, avatar_url 
-             FROM users 
-             WHERE id != $1 
-               AND (LOWER(username) LIKE $2 OR LOWER(email) LIKE $2)
+            `SELECT u.id, u.username, u.is_online, u.last_seen, u.avatar_url,
+                    (c.contact_id IS NOT NULL) as is_contact
+             FROM users u
+             LEFT JOIN contacts c ON c.user_id = $1 AND c.contact_id = u.id
+             WHERE u.id != $1 
+               AND u.deleted_at IS NULL
+               AND (LOWER(u.username) LIKE $2 OR (c.contact_id IS NOT NULL AND LOWER(u.email) = $4))
+               AND u.id NOT IN (SELECT blocked_id FROM user_blocks WHERE blocker_id = $1)
              ORDER BY 
-               CASE WHEN LOWER(username) LIKE $3 THEN 0 ELSE 1 END,
-               username ASC
+               CASE WHEN LOWER(u.username) LIKE $3 THEN 0 ELSE 1 END,
+               u.username ASC
              LIMIT 20`,
-            [req.user.id, searchTerm, `${q.trim().toLowerCase()}%`]
+            [req.user.id, searchTerm, `${q.trim().toLowerCase()}%`, q.trim().toLowerCase()]
         );
 
         res.json({
@@ -77,10 +99,10 @@ router.get('/search', async (req, res) => {
             users: result.rows.map(user => ({
                 id: user.id,
                 username: user.username,
-                email: user.email,
                 isOnline: user.is_online,
                 lastSeen: user.last_seen,
-                avatarUrl: user.avatar_url
+                avatarUrl: user.avatar_url,
+                isContact: user.is_contact
             }))
         });
     } catch (error) {
@@ -92,9 +114,362 @@ router.get('/search', async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/users/privacy
+ * @desc    Get your message privacy setting
+ * @access  Private
+ */
+router.get('/privacy', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            messagePrivacy: await getMessagePrivacy(req.user.id)
+        });
+    } catch (error) {
+        console.error('Get privacy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch privacy settings'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/users/privacy
+ * @desc    Set who may start direct chats with you ({ messagePrivacy: 'everyone' | 'contacts' })
+ * @access  Private
+ */
+router.put('/privacy', async (req, res) => {
+    try {
+        const { messagePrivacy } = req.body;
+
+        if (!MESSAGE_PRIVACY_OPTIONS.includes(messagePrivacy)) {
+            return res.status(400).json({
+                success: false,
+                message: `messagePrivacy must be one of: ${MESSAGE_PRIVACY_OPTIONS.join(', ')}`
+            });
+        }
+
+        await setMessagePrivacy(req.user.id, messagePrivacy);
+
+        res.json({
+            success: true,
+            messagePrivacy
+        });
+    } catch (error) {
+        console.error('Update privacy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update privacy settings'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/users/notification-settings
+ * @desc    Get your push notification preferences
+ * @access  Private
+ */
+router.get('/notification-settings', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            settings: await getNotificationPreferences(req.user.id)
+        });
+    } catch (error) {
+        console.error('Get notification settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notification settings'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/users/notification-settings
+ * @desc    Update push notification preferences ({ showPreview, timezone, quietHours: { start, end } | null })
+ * @access  Private
+ */
+router.put('/notification-settings', async (req, res) => {
+    try {
+        const { showPreview, timezone, quietHours } = req.body;
+
+        const validationError = validateNotificationPreferences({ showPreview, timezone, quietHours });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        res.json({
+            success: true,
+            settings: await setNotificationPreferences(req.user.id, { showPreview, timezone, quietHours })
+        });
+    } catch (error) {
+        console.error('Update notification settings error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update notification settings'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/users/device-tokens
+ * @desc    List your devices registered for push notifications
+ * @access  Private
+ */
+router.get('/device-tokens', async (req, res) => {
+    try {
+        const devices = await getDeviceTokens(req.user.id);
+
+        res.json({
+            success: true,
+            devices: devices.map(formatDeviceTokenResponse)
+        });
+    } catch (error) {
+        console.error('Get device tokens error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch device tokens'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/users/device-tokens
+ * @desc    Register this device's FCM token ({ token, platform, appVersion })
+ * @access  Private
+ */
+router.post('/device-tokens', async (req, res) => {
+    try {
+        const { token, platform, appVersion } = req.body;
+
+        const validationError = validateDeviceToken({ token, platform, appVersion });
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                message: validationError
+            });
+        }
+
+        const device = await registerDeviceToken(req.user.id, req.sessionId, { token, platform, appVersion });
+
+        res.json({
+            success: true,
+            device: formatDeviceTokenResponse(device)
+        });
+    } catch (error) {
+        console.error('Register device token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register device token'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/users/device-tokens
+ * @desc    Unregister an FCM token ({ token }), e.g. when push is turned off on the device
+ * @access  Private
+ */
+router.delete('/device-tokens', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Token is required'
+            });
+        }
+
+        const removed = await unregisterDeviceToken(req.user.id, token);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'Device token not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Device token removed'
+        });
+    } catch (error) {
+        console.error('Unregister device token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove device token'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/users/fcm-token
+ * @desc    Register an FCM token without platform details
+ *          (kept for older clients; use POST /api/users/device-tokens)
+ * @access  Private
+ */
+router.put('/fcm-token', async (req, res) => {
+    try {
+        const { token } = req.body;
+        const userId = req.user.id;
+
+        if (!token || typeof token !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Token is required'
+            });
+        }
+
+        await registerDeviceToken(userId, req.sessionId, { token });
+
+        res.json({
+            success: true,
+            message: 'FCM token updated'
+        });
+    } catch (error) {
+        console.error('Update FCM token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update FCM token'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/users/blocked
+ * @desc    Get users you have blocked
+ * @access  Private
+ */
+router.get('/blocked', async (req, res) => {
+    try {
+        const blockedUsers = await getBlockedUsers(req.user.id);
+
+        res.json({
+            success: true,
+            users: blockedUsers.map(user => ({
+                id: user.id,
+                username: user.username,
+                avatarUrl: user.avatar_url,
+                blockedAt: user.blocked_at
+            }))
+        });
+    } catch (error) {
+        console.error('Get blocked users error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch blocked users'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/users/me/export
+ * @desc    Download your personal data (profile, contacts, groups, sessions,
+ *          and all messages sent and received) as one JSON file
+ * @access  Private
+ */
+router.get('/me/export', rateLimit('dataExport'), async (req, res) => {
+    try {
+        const date = new Date().toISOString().substring(0, 10);
+
+        res.set({
+            'Content-Type': 'application/json; charset=utf-8',
+            'Content-Disposition': `attachment; filename="toki-export-${req.user.username}-${date}.json"`,
+            'Cache-Control': 'no-store'
+        });
+
+        await writeAccountExport(req.user.id, res);
+        res.end();
+    } catch (error) {
+        console.error('Export account error:', error);
+
+        // Part of the file may already be on its way; cut it off so it is not mistaken for complete
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export account data'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/users/me
+ * @desc    Delete your account ({ password, code }; code only when 2FA is on).
+ *          All devices are logged out; logging in again within the grace period cancels it,
+ *          after which the account is anonymized and messages you sent remain under a placeholder name
+ * @access  Private
+ */
+router.delete('/me', rateLimit('login'), async (req, res) => {
+    try {
+        const userId = req.user.id;
+        const { password, code } = req.body;
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password is required'
+            });
+        }
+
+        const result = await query(
+            'SELECT password_hash, totp_enabled FROM users WHERE id = $1',
+            [userId]
+        );
+
+        const isMatch = await bcrypt.compare(String(password), result.rows[0].password_hash);
+
+        if (!isMatch) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+
+        if (result.rows[0].totp_enabled) {
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Verification code is required'
+                });
+            }
+
+            if (!(await verifyTwoFactorCode(userId, code))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid verification code'
+                });
+            }
+        }
+
+        const { deletionScheduledFor, sessionIds } = await scheduleDeletion(userId);
+
+        res.json({
+            success: true,
+            message: 'Account scheduled for deletion. Log in before then to cancel.',
+            deletionScheduledFor
+        });
+
+        disconnectSessions(sessionIds);
+    } catch (error) {
+        console.error('Delete account error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to delete account'
+        });
+    }
+});
+
 /**
  * @route   GET /api/users/:id
- * @desc    Get specific user by ID
+ * @desc    Get specific user by ID (users you blocked are not found)
  * @access  Private
  */
 router.get('/:id', async (req, res) => {
@@ -104,8 +479,9 @@ router.get('/:id', async (req, res) => {
         const result = await query(
             `SELECT id, username, email, is_online, last_seen, created_at, avatar_url 
              FROM users 
-             WHERE id = $1`,
-            [id]
+             WHERE id = $1
+               AND id NOT IN (SELECT blocked_id FROM user_blocks WHERE blocker_id = $2)`,
+            [id, req.user.id]
         );
 
         if (result.rows.length === 0) {
@@ -122,7 +498,8 @@ router.get('/:id', async (req, res) => {
             user: {
                 id: user.id,
                 username: user.username,
-                email: user.email,
+                // Emails are private to their owner
+                ...(user.id === req.user.id && { email: user.email }),
                 isOnline: user.is_online,
                 lastSeen: user.last_seen,
                 createdAt: user.created_at,
@@ -139,36 +516,71 @@ router.get('/:id', async (req, res) => {
 });
 
 /**
- * @route   PUT /api/users/fcm-token
- * @desc    Update user's FCM token
+ * @route   POST /api/users/:id/block
+ * @desc    Block a user (stops direct messages, typing and presence both ways)
  * @access  Private
  */
-router.put('/fcm-token', async (req, res) => {
+router.post('/:id/block', async (req, res) => {
     try {
-        const { token } = req.body;
         const userId = req.user.id;
+        const { id } = req.params;
 
-        if (!token) {
+        if (id === userId) {
             return res.status(400).json({
                 success: false,
-                message: 'Token is required'
+                message: 'You cannot block yourself'
             });
         }
 
-        await query(
-            'UPDATE users SET fcm_token = $1 WHERE id = $2',
-            [token, userId]
-        );
+        const userCheck = await query('SELECT id FROM users WHERE id = $1', [id]);
+
+        if (userCheck.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const created = await blockUser(userId, id);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: 'User blocked'
+        });
+    } catch (error) {
+        console.error('Block user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to block user'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/users/:id/block
+ * @desc    Unblock a user
+ * @access  Private
+ */
+router.delete('/:id/block', async (req, res) => {
+    try {
+        const removed = await unblockUser(req.user.id, req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                message: 'User is not blocked'
+            });
+        }
 
         res.json({
             success: true,
-            message: 'FCM token updated'
+            message: 'User unblocked'
         });
     } catch (error) {
-        console.error('Update FCM token error:', error);
+        console.error('Unblock user error:', error);
         res.status(500).json({
             success: false,
-            message: 'Failed to update FCM token'
+            message: 'Failed to unblock user'
         });
     }
 });
@@ -17,16 +17,26 @@ const errorHandler = require('./middleware/errorHandler');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const userRoutes = require('./routes/users');
 const messageRoutes = require('./routes/messages');
+const groupRoutes = require('./routes/groups');
+const syncRoutes = require('./routes/sync');
+const attachmentRoutes = require('./routes/attachments');
+const contactRoutes = require('./routes/contacts');
 
 // Import socket setup
-const { initializeSocket } = require('./socket');
+const { initializeSocket, shutdownSocket } = require('./socket');
+const { startAccountPurge, stopAccountPurge } = require('./services/accountService');
+const { startAttachmentSweep, stopAttachmentSweep } = require('./services/attachmentService');
 
 // Initialize Express app
 const app = express();
 const server = http.createServer(app);
 
+// Trust the first proxy hop (Render/Vercel) so req.ip reflects the client address
+app.set('trust proxy', 1);
+
 // CORS Origins Configuration - supports multiple origins
 const allowedOrigins = [
     'http://localhost:5173',
@@ -49,7 +59,8 @@ const corsOptions = {
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization']
+    allowedHeaders: ['Content-Type', 'Authorization'],
+    exposedHeaders: ['Retry-After']
 };
 
 // Initialize Socket.io with CORS
@@ -95,10 +106,15 @@ app.get('/health', (req, res) => {
 });
 
 // API routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/conversations', messageRoutes); // Alias for conversations
+app.use('/api/groups', groupRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/contacts', contactRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -145,6 +161,12 @@ const startServer = async () => {
         process.exit(1);
     }
 
+    // Anonymize accounts whose deletion grace period has ended
+    startAccountPurge();
+
+    // Remove uploads that were never sent with a message
+    startAttachmentSweep();
+
     server.listen(PORT, () => {
         console.log(`
 ╔══════════════════════════════════════════════════════════╗
@@ -158,15 +180,27 @@ const startServer = async () => {
 ╠══════════════════════════════════════════════════════════╣
 ║   Auth:     POST /api/auth/register, login, logout      ║
 ║   Users:    GET  /api/users, /api/users/search?q=       ║
+║   Account:  GET  /api/users/me/export, DELETE .../me     ║
+║   Contacts: GET  /api/contacts, /api/contacts/requests   ║
 ║   Messages: GET  /api/messages/:partnerId                ║
+║   Pins:     GET  /api/messages/:id/pinned, .../starred   ║
 ║   Convos:   GET  /api/conversations                      ║
+║   Groups:   POST /api/groups, /api/groups/:id/members    ║
+║   Sync:     GET  /api/sync?since=                        ║
+║   Files:    POST /api/attachments, GET .../:id           ║
 ║   Health:   GET  /health                                 ║
 ╠══════════════════════════════════════════════════════════╣
 ║   Socket Events:                                         ║
 ║   • send_message    → receive_message                    ║
 ║   • typing / stop_typing                                 ║
+║   • app_state       (foreground / background → push)     ║
 ║   • mark_read       → messages_read                      ║
+║   • edit_message    → message_updated                    ║
+║   • delete_message  → message_deleted                    ║
+║   • receive_message ack → messages_delivered             ║
 ║   • get_history     (with callback)                      ║
+║   • sync            (with callback)                      ║
+║   • add_reaction / remove_reaction → reaction_updated    ║
 ╚══════════════════════════════════════════════════════════╝
         `);
     });
@@ -185,8 +219,11 @@ process.on('uncaughtException', (err) => {
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
     console.log('SIGTERM received. Shutting down gracefully...');
+    stopAccountPurge();
+    stopAttachmentSweep();
+    await shutdownSocket();
     server.close(() => {
         console.log('Server closed.');
         process.exit(0);
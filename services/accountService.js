@@ -0,0 +1,400 @@
+/**
+ * Account Service
+ * Personal data export and account deletion (scheduled, then anonymized once the grace period ends)
+ */
+
+const { query, getClient, queryInBatches } = require('../config/db');
+const { revokeAllSessions } = require('./sessionService');
+const { removeGroupMember } = require('./conversationService');
+const { attachAttachments, removeStoredFiles } = require('./attachmentService');
+const { getContacts } = require('./contactService');
+const { getBlockedUsers } = require('./blockService');
+const { getNotificationPreferences } = require('./notificationSettingsService');
+const { formatDeviceTokenResponse, getDeviceTokens } = require('./deviceTokenService');
+const { createStreamWriter } = require('./streamService');
+const { leaveConversationRoom, emitToConversation } = require('../socket');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const EXPORT_BATCH_SIZE = 500;
+
+let purgeTimer = null;
+
+// =============================================
+// DATA EXPORT
+// =============================================
+
+/**
+ * Format a session for the export (revoked sessions included)
+ */
+const formatExportedSession = (session) => ({
+    id: session.id,
+    deviceName: session.device_name,
+    userAgent: session.user_agent,
+    ipAddress: session.ip_address,
+    createdAt: session.created_at,
+    lastUsedAt: session.last_used_at,
+    expiresAt: session.expires_at,
+    revokedAt: session.revoked_at,
+    revokedReason: session.revoked_reason
+});
+
+/**
+ * Format a message for the export
+ * Content others deleted is left out; the user's own messages are exported as stored
+ */
+const formatExportedMessage = (row, userId) => ({
+    id: row.id,
+    direction: row.sender_id === userId ? 'sent' : 'received',
+    conversationId: row.conversation_id,
+    conversationName: row.conversation_name,
+    senderId: row.sender_id,
+    senderUsername: row.sender_username,
+    receiverId: row.receiver_id,
+    receiverUsername: row.receiver_username,
+    type: row.message_type,
+    content: row.is_deleted && row.sender_id !== userId ? null : row.content,
+    replyToId: row.reply_to_id,
+    isEdited: row.is_edited,
+    editedAt: row.edited_at,
+    isDeleted: row.is_deleted,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    readAt: row.read_at
+});
+
+/**
+ * Everything about the user except their messages
+ * @param {string} userId - User ID
+ * @returns {object} Export sections, in output order
+ */
+const getAccountData = async (userId) => {
+    const [userResult, sessionResult, groupResult, contacts, blockedUsers, devices, notifications] = await Promise.all([
+        query(
+            `SELECT id, username, email, email_verified, avatar_url, message_privacy, totp_enabled,
+                    created_at, last_seen, deletion_scheduled_for
+             FROM users WHERE id = $1`,
+            [userId]
+        ),
+        query(
+            'SELECT * FROM sessions WHERE user_id = $1 ORDER BY created_at ASC',
+            [userId]
+        ),
+        query(
+            `SELECT c.id, c.name, cm.role, cm.joined_at
+             FROM conversation_members cm
+             JOIN conversations c ON c.id = cm.conversation_id
+             WHERE cm.user_id = $1
+             ORDER BY cm.joined_at ASC`,
+            [userId]
+        ),
+        getContacts(userId),
+        getBlockedUsers(userId),
+        getDeviceTokens(userId),
+        getNotificationPreferences(userId)
+    ]);
+
+    const user = userResult.rows[0];
+
+    return {
+        profile: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            emailVerified: user.email_verified,
+            avatarUrl: user.avatar_url,
+            messagePrivacy: user.message_privacy,
+            twoFactorEnabled: user.totp_enabled,
+            createdAt: user.created_at,
+            lastSeen: user.last_seen,
+            deletionScheduledFor: user.deletion_scheduled_for
+        },
+        notificationPreferences: notifications,
+        contacts: contacts.map(contact => ({
+            id: contact.id,
+            username: contact.username,
+            contactSince: contact.contact_since
+        })),
+        blockedUsers: blockedUsers.map(blocked => ({
+            id: blocked.id,
+            username: blocked.username,
+            blockedAt: blocked.blocked_at
+        })),
+        groups: groupResult.rows.map(group => ({
+            id: group.id,
+            name: group.name,
+            role: group.role,
+            joinedAt: group.joined_at
+        })),
+        sessions: sessionResult.rows.map(formatExportedSession),
+        devices: devices.map(formatDeviceTokenResponse)
+    };
+};
+
+/**
+ * Write a user's personal data export as one JSON document
+ * Messages (sent and received, direct and group) are read through a cursor and written as they arrive
+ * @param {string} userId - User ID
+ * @param {Writable} out - Destination stream (left open)
+ */
+const writeAccountExport = async (userId, out) => {
+    const write = createStreamWriter(out);
+
+    const data = await getAccountData(userId);
+
+    await write(`{"exportedAt":${JSON.stringify(new Date())}`);
+    for (const [section, value] of Object.entries(data)) {
+        await write(`,${JSON.stringify(section)}:${JSON.stringify(value)}`);
+    }
+    await write(',"messages":[');
+
+    let first = true;
+    await queryInBatches(
+        `SELECT m.id, m.conversation_id, c.name as conversation_name,
+                m.sender_id, s.username as sender_username,
+                m.receiver_id, r.username as receiver_username,
+                m.message_type, m.content, m.reply_to_id, m.is_edited, m.edited_at,
+                m.is_deleted, m.created_at, m.delivered_at, m.read_at
+         FROM messages m
+         JOIN users s ON s.id = m.sender_id
+         LEFT JOIN users r ON r.id = m.receiver_id
+         LEFT JOIN conversations c ON c.id = m.conversation_id
+         WHERE m.sender_id = $1
+            OR m.receiver_id = $1
+            OR m.conversation_id IN (SELECT conversation_id FROM conversation_members WHERE user_id = $1)
+         ORDER BY m.created_at ASC, m.id ASC`,
+        [userId],
+        async (rows) => {
+            const messages = await attachAttachments(rows.map(row => formatExportedMessage(row, userId)));
+            const items = messages.map(message => JSON.stringify(message)).join(',');
+
+            await write(first ? items : `,${items}`);
+            first = false;
+        },
+        EXPORT_BATCH_SIZE
+    );
+
+    await write(']}');
+};
+
+// =============================================
+// ACCOUNT DELETION
+// =============================================
+
+/**
+ * Schedule a user's account for deletion and log out all their devices
+ * Logging in again before the grace period ends cancels the deletion
+ * @param {string} userId - User ID
+ * @returns {object} { deletionScheduledFor, sessionIds } - revoked sessions to disconnect
+ */
+const scheduleDeletion = async (userId) => {
+    const result = await query(
+        `UPDATE users
+         SET deletion_scheduled_for = NOW() + make_interval(days => $2), is_online = false
+         WHERE id = $1
+         RETURNING deletion_scheduled_for`,
+        [userId, DELETION_GRACE_DAYS]
+    );
+
+    const sessionIds = await revokeAllSessions(userId, 'account_deletion');
+
+    return {
+        deletionScheduledFor: result.rows[0].deletion_scheduled_for,
+        sessionIds
+    };
+};
+
+/**
+ * Cancel a pending deletion
+ * @param {string} userId - User ID
+ * @returns {boolean} True if a deletion was pending
+ */
+const cancelDeletion = async (userId) => {
+    const result = await query(
+        `UPDATE users SET deletion_scheduled_for = NULL
+         WHERE id = $1 AND deletion_scheduled_for IS NOT NULL AND deleted_at IS NULL
+         RETURNING id`,
+        [userId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Anonymize an account whose grace period has ended
+ * The user row stays as a tombstone so messages they sent remain in their partners' histories
+ * under a placeholder name; everything identifying them or tying them to others is removed.
+ * @param {string} userId - User ID
+ * @returns {boolean} True if the account was anonymized (false if cancelled or taken by another instance)
+ */
+const anonymizeAccount = async (userId) => {
+    const client = await getClient();
+    const groupChanges = [];
+    let storageKeys = [];
+
+    try {
+        await client.query('BEGIN');
+
+        const due = await client.query(
+            `SELECT id FROM users
+             WHERE id = $1 AND deleted_at IS NULL AND deletion_scheduled_for <= NOW()
+             FOR UPDATE SKIP LOCKED`,
+            [userId]
+        );
+
+        if (due.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        // Leave every group as if the user had left themselves
+        const memberships = await client.query(
+            'SELECT conversation_id as id, role FROM conversation_members WHERE user_id = $1',
+            [userId]
+        );
+
+        for (const membership of memberships.rows) {
+            const change = await removeGroupMember(client, membership, userId);
+            storageKeys = storageKeys.concat(change.storageKeys);
+            groupChanges.push({ conversationId: membership.id, newOwnerId: change.newOwnerId });
+        }
+
+        // Uploads never attached to a message
+        const unsent = await client.query(
+            `DELETE FROM attachments WHERE uploader_id = $1 AND message_id IS NULL
+             RETURNING storage_key, thumbnail_key`,
+            [userId]
+        );
+        storageKeys = storageKeys.concat(
+            unsent.rows.flatMap(row => [row.storage_key, row.thumbnail_key].filter(Boolean))
+        );
+
+        await client.query('DELETE FROM device_tokens WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM contacts WHERE user_id = $1 OR contact_id = $1', [userId]);
+        await client.query('DELETE FROM contact_requests WHERE requester_id = $1 OR addressee_id = $1', [userId]);
+        await client.query('DELETE FROM user_blocks WHERE blocker_id = $1 OR blocked_id = $1', [userId]);
+        await client.query('DELETE FROM chat_notification_settings WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM hidden_messages WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM starred_messages WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [userId]);
+        await client.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+
+        // Placeholder identity; the unusable password hash means nobody can log in as it
+        await client.query(
+            `UPDATE users
+             SET username = 'deleted_' || substring(replace(id::text, '-', '') for 12),
+                 email = id::text || '@deleted.invalid',
+                 password_hash = '!',
+                 avatar_url = NULL,
+                 is_online = false,
+                 last_seen = NULL,
+                 message_privacy = 'everyone',
+                 push_hide_content = false,
+                 timezone = 'UTC',
+                 quiet_hours_start = NULL,
+                 quiet_hours_end = NULL,
+                 email_verified = false,
+                 email_verified_at = NULL,
+                 totp_secret = NULL,
+                 totp_enabled = false,
+                 totp_enabled_at = NULL,
+                 totp_last_used_step = NULL,
+                 deletion_scheduled_for = NULL,
+                 deleted_at = NOW()
+             WHERE id = $1`,
+            [userId]
+        );
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    await removeStoredFiles(storageKeys);
+
+    groupChanges.forEach(({ conversationId, newOwnerId }) => {
+        leaveConversationRoom(userId, conversationId);
+
+        emitToConversation(conversationId, 'member_removed', {
+            conversationId,
+            userId,
+            removedBy: userId
+        });
+
+        if (newOwnerId) {
+            emitToConversation(conversationId, 'member_role_updated', {
+                conversationId,
+                userId: newOwnerId,
+                role: 'owner'
+            });
+        }
+    });
+
+    return true;
+};
+
+/**
+ * Anonymize every account whose grace period has ended
+ * @returns {number} Number of accounts anonymized
+ */
+const purgeDueAccounts = async () => {
+    const result = await query(
+        `SELECT id FROM users
+         WHERE deletion_scheduled_for <= NOW() AND deleted_at IS NULL
+         ORDER BY deletion_scheduled_for ASC`
+    );
+
+    let purged = 0;
+
+    for (const { id } of result.rows) {
+        try {
+            if (await anonymizeAccount(id)) {
+                purged++;
+            }
+        } catch (error) {
+            console.error(`Failed to delete account ${id}:`, error);
+        }
+    }
+
+    return purged;
+};
+
+/**
+ * Start the periodic purge of accounts due for deletion
+ */
+const startAccountPurge = () => {
+    if (purgeTimer) return;
+
+    const run = () => {
+        purgeDueAccounts().catch(error => {
+            console.error('Account purge error:', error);
+        });
+    };
+
+    purgeTimer = setInterval(run, PURGE_INTERVAL_MS);
+    purgeTimer.unref();
+    run();
+};
+
+/**
+ * Stop the periodic purge
+ */
+const stopAccountPurge = () => {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+};
+
+module.exports = {
+    DELETION_GRACE_DAYS,
+    writeAccountExport,
+    scheduleDeletion,
+    cancelDeletion,
+    anonymizeAccount,
+    purgeDueAccounts,
+    startAccountPurge,
+    stopAccountPurge
+};
@@ -0,0 +1,340 @@
+/**
+ * Attachment Service
+ * Uploads, thumbnails, access checks and message payloads for file attachments
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { query } = require('../config/db');
+const storage = require('./storage');
+
+const MAX_ATTACHMENT_SIZE = (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 25) * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_MESSAGE = 10;
+const THUMBNAIL_SIZE = 320;
+
+// Uploads never sent with a message are removed after this many hours
+const UNSENT_ATTACHMENT_TTL_HOURS = parseInt(process.env.UNSENT_ATTACHMENT_TTL_HOURS, 10) || 24;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const ALLOWED_MIME_TYPES = [
+    ...IMAGE_MIME_TYPES,
+    'application/pdf',
+    'application/zip',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/plain',
+    'text/csv',
+    'audio/mpeg',
+    'audio/mp4',
+    'audio/ogg',
+    'video/mp4',
+    'video/webm'
+];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Whether a MIME type is an image we generate thumbnails for
+ * @param {string} mimeType - MIME type
+ * @returns {boolean}
+ */
+const isImage = (mimeType) => IMAGE_MIME_TYPES.includes(mimeType);
+
+/**
+ * Format attachment for response
+ */
+const formatAttachmentResponse = (row) => ({
+    id: row.id,
+    fileName: row.file_name,
+    mimeType: row.mime_type,
+    size: row.size_bytes,
+    width: row.width,
+    height: row.height,
+    url: `/api/attachments/${row.id}`,
+    thumbnailUrl: row.thumbnail_key ? `/api/attachments/${row.id}/thumbnail` : null
+});
+
+/**
+ * Validate the attachment IDs of an outgoing message
+ * @param {*} attachmentIds - Value supplied by the client
+ * @returns {string|null} Error message, or null if valid (or absent)
+ */
+const validateAttachmentIds = (attachmentIds) => {
+    if (attachmentIds === undefined || attachmentIds === null) {
+        return null;
+    }
+    if (!Array.isArray(attachmentIds) || !attachmentIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+        return 'attachmentIds must be an array of attachment IDs';
+    }
+    if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+        return `Too many attachments (max ${MAX_ATTACHMENTS_PER_MESSAGE})`;
+    }
+    return null;
+};
+
+/**
+ * Store an uploaded file as an unattached attachment
+ * @param {string} userId - Uploader's user ID
+ * @param {object} file - Multer file ({ buffer, originalname, mimetype, size })
+ * @returns {object|null} Attachment row, or null if an image could not be decoded
+ */
+const createAttachment = async (userId, file) => {
+    const id = crypto.randomUUID();
+    const storageKey = `attachments/${id}`;
+    let thumbnailKey = null;
+    let width = null;
+    let height = null;
+
+    if (isImage(file.mimetype)) {
+        let thumbnail;
+        try {
+            const image = sharp(file.buffer);
+            const metadata = await image.metadata();
+            width = metadata.width;
+            height = metadata.height;
+
+            thumbnail = await image
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp()
+                .toBuffer();
+        } catch (error) {
+            // Declared as an image but not decodable
+            return null;
+        }
+
+        thumbnailKey = `attachments/${id}-thumb.webp`;
+        await storage.save(thumbnailKey, thumbnail, 'image/webp');
+    }
+
+    await storage.save(storageKey, file.buffer, file.mimetype);
+
+    const result = await query(
+        `INSERT INTO attachments (id, uploader_id, storage_key, thumbnail_key, file_name, mime_type, size_bytes, width, height)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+            id,
+            userId,
+            storageKey,
+            thumbnailKey,
+            (file.originalname || 'file').substring(0, 255),
+            file.mimetype,
+            file.size,
+            width,
+            height
+        ]
+    );
+
+    return result.rows[0];
+};
+
+/**
+ * Check that attachments were uploaded by the sender and not yet sent
+ * @param {string[]} attachmentIds - Attachment IDs
+ * @param {string} userId - Sender's user ID
+ * @returns {boolean}
+ */
+const areAttachmentsAvailable = async (attachmentIds, userId) => {
+    const result = await query(
+        `SELECT COUNT(*) FROM attachments
+         WHERE id = ANY($1) AND uploader_id = $2 AND message_id IS NULL`,
+        [attachmentIds, userId]
+    );
+
+    return parseInt(result.rows[0].count, 10) === new Set(attachmentIds).size;
+};
+
+/**
+ * Link uploaded attachments to a sent message
+ * Only unsent uploads of the sender are claimed, so concurrent sends cannot share one
+ * @param {object} client - Database client inside the sending transaction
+ * @param {string} messageId - Message ID
+ * @param {string[]} attachmentIds - Attachment IDs
+ * @param {string} userId - Sender's user ID
+ * @returns {boolean} True if every attachment was linked
+ */
+const linkAttachments = async (client, messageId, attachmentIds, userId) => {
+    const result = await client.query(
+        `UPDATE attachments SET message_id = $1
+         WHERE id = ANY($2) AND uploader_id = $3 AND message_id IS NULL
+         RETURNING id`,
+        [messageId, attachmentIds, userId]
+    );
+
+    return result.rows.length === new Set(attachmentIds).size;
+};
+
+/**
+ * Attach file metadata to formatted message payloads
+ * @param {Array} messages - Formatted messages (with id)
+ * @returns {Array} The same messages with an attachments array
+ */
+const attachAttachments = async (messages) => {
+    const attachmentsByMessage = new Map();
+
+    if (messages.length > 0) {
+        const result = await query(
+            `SELECT * FROM attachments
+             WHERE message_id = ANY($1)
+             ORDER BY created_at ASC`,
+            [messages.map(message => message.id)]
+        );
+
+        result.rows.forEach(row => {
+            if (!attachmentsByMessage.has(row.message_id)) {
+                attachmentsByMessage.set(row.message_id, []);
+            }
+            attachmentsByMessage.get(row.message_id).push(formatAttachmentResponse(row));
+        });
+    }
+
+    return messages.map(message => ({
+        ...message,
+        attachments: attachmentsByMessage.get(message.id) || []
+    }));
+};
+
+/**
+ * Get an attachment the user may download
+ * Unsent uploads are visible to their uploader; sent ones to the chat participants
+ * @param {string} attachmentId - Attachment ID
+ * @param {string} userId - Requesting user ID
+ * @returns {object|null} Attachment row, or null if not found or not accessible
+ */
+const getAccessibleAttachment = async (attachmentId, userId) => {
+    if (!UUID_PATTERN.test(attachmentId)) {
+        return null;
+    }
+
+    const result = await query(
+        `SELECT a.*
+         FROM attachments a
+         LEFT JOIN messages m ON m.id = a.message_id
+         WHERE a.id = $1
+           AND (
+               (a.message_id IS NULL AND a.uploader_id = $2)
+               OR (m.conversation_id IS NULL AND (m.sender_id = $2 OR m.receiver_id = $2))
+               OR EXISTS (
+                   SELECT 1 FROM conversation_members cm
+                   WHERE cm.conversation_id = m.conversation_id AND cm.user_id = $2
+               )
+           )`,
+        [attachmentId, userId]
+    );
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Get storage keys of the attachments in a group, before its messages are hard-deleted
+ * @param {PoolClient} client - Client with the transaction that deletes the group
+ * @param {string} conversationId - Group conversation ID
+ * @returns {string[]}
+ */
+const getConversationStorageKeys = async (client, conversationId) => {
+    const result = await client.query(
+        `SELECT a.storage_key, a.thumbnail_key
+         FROM attachments a
+         JOIN messages m ON m.id = a.message_id
+         WHERE m.conversation_id = $1`,
+        [conversationId]
+    );
+
+    return result.rows.flatMap(row => [row.storage_key, row.thumbnail_key].filter(Boolean));
+};
+
+/**
+ * Remove files from storage, logging (not throwing) individual failures
+ * @param {string[]} keys - Storage keys
+ */
+const removeStoredFiles = async (keys) => {
+    const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Failed to remove stored file ${keys[index]}:`, result.reason);
+        }
+    });
+};
+
+/**
+ * Delete a message's attachments and their files
+ * @param {string} messageId - Message ID
+ */
+const removeMessageAttachments = async (messageId) => {
+    const result = await query(
+        'DELETE FROM attachments WHERE message_id = $1 RETURNING storage_key, thumbnail_key',
+        [messageId]
+    );
+
+    await removeStoredFiles(result.rows.flatMap(row => [row.storage_key, row.thumbnail_key].filter(Boolean)));
+};
+
+/**
+ * Delete uploads that were never sent with a message within the TTL, and their files
+ * A send racing the sweep finds the upload gone and fails like any unavailable attachment
+ * @returns {number} Number of uploads removed
+ */
+const sweepUnsentAttachments = async () => {
+    const result = await query(
+        `DELETE FROM attachments
+         WHERE message_id IS NULL AND created_at < NOW() - make_interval(hours => $1::int)
+         RETURNING storage_key, thumbnail_key`,
+        [UNSENT_ATTACHMENT_TTL_HOURS]
+    );
+
+    await removeStoredFiles(result.rows.flatMap(row => [row.storage_key, row.thumbnail_key].filter(Boolean)));
+
+    return result.rows.length;
+};
+
+/**
+ * Start the periodic sweep of unsent uploads
+ */
+const startAttachmentSweep = () => {
+    if (sweepTimer) return;
+
+    const run = () => {
+        sweepUnsentAttachments().catch(error => {
+            console.error('Attachment sweep error:', error);
+        });
+    };
+
+    sweepTimer = setInterval(run, SWEEP_INTERVAL_MS);
+    sweepTimer.unref();
+    run();
+};
+
+/**
+ * Stop the periodic sweep
+ */
+const stopAttachmentSweep = () => {
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
+
+module.exports = {
+    MAX_ATTACHMENT_SIZE,
+    ALLOWED_MIME_TYPES,
+    isImage,
+    formatAttachmentResponse,
+    validateAttachmentIds,
+    createAttachment,
+    areAttachmentsAvailable,
+    linkAttachments,
+    attachAttachments,
+    getAccessibleAttachment,
+    getConversationStorageKeys,
+    removeStoredFiles,
+    removeMessageAttachments,
+    sweepUnsentAttachments,
+    startAttachmentSweep,
+    stopAttachmentSweep
+};
@@ -0,0 +1,99 @@
+/**
+ * Block Service
+ * Block list shared by the REST and socket layers
+ */
+
+const { query } = require('../config/db');
+
+/**
+ * Block a user
+ * @param {string} blockerId - User doing the blocking
+ * @param {string} blockedId - User being blocked
+ * @returns {boolean} True if the block is new
+ */
+const blockUser = async (blockerId, blockedId) => {
+    const result = await query(
+        `INSERT INTO user_blocks (blocker_id, blocked_id)
+         VALUES ($1, $2)
+         ON CONFLICT DO NOTHING
+         RETURNING blocked_id`,
+        [blockerId, blockedId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Unblock a user
+ * @param {string} blockerId - User who blocked
+ * @param {string} blockedId - Blocked user
+ * @returns {boolean} True if a block was removed
+ */
+const unblockUser = async (blockerId, blockedId) => {
+    const result = await query(
+        'DELETE FROM user_blocks WHERE blocker_id = $1 AND blocked_id = $2 RETURNING blocked_id',
+        [blockerId, blockedId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Get the users a user has blocked, most recent first
+ * @param {string} userId - User ID
+ * @returns {Array} User rows with blocked_at
+ */
+const getBlockedUsers = async (userId) => {
+    const result = await query(
+        `SELECT u.id, u.username, u.avatar_url, b.created_at as blocked_at
+         FROM user_blocks b
+         JOIN users u ON u.id = b.blocked_id
+         WHERE b.blocker_id = $1
+         ORDER BY b.created_at DESC`,
+        [userId]
+    );
+
+    return result.rows;
+};
+
+/**
+ * Check whether either user has blocked the other
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {boolean}
+ */
+const isBlockedBetween = async (userId, otherUserId) => {
+    const result = await query(
+        `SELECT 1 FROM user_blocks
+         WHERE (blocker_id = $1 AND blocked_id = $2)
+            OR (blocker_id = $2 AND blocked_id = $1)`,
+        [userId, otherUserId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Get IDs of users on either side of a block with a user
+ * (typing and presence are not shared between them)
+ * @param {string} userId - User ID
+ * @returns {string[]}
+ */
+const getBlockedPeerIds = async (userId) => {
+    const result = await query(
+        `SELECT blocked_id as peer_id FROM user_blocks WHERE blocker_id = $1
+         UNION
+         SELECT blocker_id FROM user_blocks WHERE blocked_id = $1`,
+        [userId]
+    );
+
+    return result.rows.map(row => row.peer_id);
+};
+
+module.exports = {
+    blockUser,
+    unblockUser,
+    getBlockedUsers,
+    isBlockedBetween,
+    getBlockedPeerIds
+};
@@ -0,0 +1,289 @@
+/**
+ * Contact Service
+ * Contacts, contact requests and message privacy
+ */
+
+const { query, getClient } = require('../config/db');
+
+const MESSAGE_PRIVACY_OPTIONS = ['everyone', 'contacts'];
+
+/**
+ * Format a user as a contact for response
+ */
+const formatContactResponse = (user) => ({
+    id: user.id,
+    username: user.username,
+    isOnline: user.is_online,
+    lastSeen: user.last_seen,
+    avatarUrl: user.avatar_url,
+    ...(user.contact_since !== undefined && { contactSince: user.contact_since })
+});
+
+/**
+ * Format contact request for response
+ */
+const formatRequestResponse = (request) => ({
+    id: request.id,
+    status: request.status,
+    createdAt: request.created_at,
+    respondedAt: request.responded_at,
+    requester: {
+        id: request.requester_id,
+        username: request.requester_username,
+        avatarUrl: request.requester_avatar_url
+    },
+    addressee: {
+        id: request.addressee_id,
+        username: request.addressee_username,
+        avatarUrl: request.addressee_avatar_url
+    }
+});
+
+/**
+ * Get a user's contacts, alphabetically (contacts they blocked are left out)
+ * @param {string} userId - User ID
+ * @returns {Array} User rows with contact_since
+ */
+const getContacts = async (userId) => {
+    const result = await query(
+        `SELECT u.id, u.username, u.is_online, u.last_seen, u.avatar_url, c.created_at as contact_since
+         FROM contacts c
+         JOIN users u ON u.id = c.contact_id
+         WHERE c.user_id = $1
+           AND c.contact_id NOT IN (SELECT blocked_id FROM user_blocks WHERE blocker_id = $1)
+         ORDER BY u.username ASC`,
+        [userId]
+    );
+
+    return result.rows;
+};
+
+/**
+ * Check whether two users are contacts
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {boolean}
+ */
+const areContacts = async (userId, otherUserId) => {
+    const result = await query(
+        'SELECT 1 FROM contacts WHERE user_id = $1 AND contact_id = $2',
+        [userId, otherUserId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Get a contact request with both users' details
+ * @param {string} requestId - Request ID
+ * @returns {object|null}
+ */
+const getRequest = async (requestId) => {
+    const result = await query(
+        `SELECT r.*,
+                rq.username as requester_username, rq.avatar_url as requester_avatar_url,
+                ad.username as addressee_username, ad.avatar_url as addressee_avatar_url
+         FROM contact_requests r
+         JOIN users rq ON rq.id = r.requester_id
+         JOIN users ad ON ad.id = r.addressee_id
+         WHERE r.id = $1`,
+        [requestId]
+    );
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Get a user's pending contact requests
+ * @param {string} userId - User ID
+ * @returns {object} { incoming, outgoing } request rows, newest first
+ */
+const getPendingRequests = async (userId) => {
+    const result = await query(
+        `SELECT r.*,
+                rq.username as requester_username, rq.avatar_url as requester_avatar_url,
+                ad.username as addressee_username, ad.avatar_url as addressee_avatar_url
+         FROM contact_requests r
+         JOIN users rq ON rq.id = r.requester_id
+         JOIN users ad ON ad.id = r.addressee_id
+         WHERE r.status = 'pending' AND (r.requester_id = $1 OR r.addressee_id = $1)
+         ORDER BY r.created_at DESC`,
+        [userId]
+    );
+
+    return {
+        incoming: result.rows.filter(row => row.addressee_id === userId),
+        outgoing: result.rows.filter(row => row.requester_id === userId)
+    };
+};
+
+/**
+ * Get the pending request between two users in either direction
+ * @param {string} userId - User ID
+ * @param {string} otherUserId - Other user ID
+ * @returns {object|null} Request row
+ */
+const getPendingRequestBetween = async (userId, otherUserId) => {
+    const result = await query(
+        `SELECT * FROM contact_requests
+         WHERE status = 'pending'
+           AND ((requester_id = $1 AND addressee_id = $2) OR (requester_id = $2 AND addressee_id = $1))`,
+        [userId, otherUserId]
+    );
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Create a pending contact request
+ * @param {string} requesterId - Requesting user ID
+ * @param {string} addresseeId - Addressed user ID
+ * @returns {string} Request ID
+ */
+const createRequest = async (requesterId, addresseeId) => {
+    const result = await query(
+        `INSERT INTO contact_requests (requester_id, addressee_id)
+         VALUES ($1, $2)
+         RETURNING id`,
+        [requesterId, addresseeId]
+    );
+
+    return result.rows[0].id;
+};
+
+/**
+ * Accept a pending request, making both users contacts
+ * @param {object} request - Pending request row
+ * @returns {boolean} False if the request was no longer pending
+ */
+const acceptRequest = async (request) => {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        const updated = await client.query(
+            `UPDATE contact_requests SET status = 'accepted', responded_at = NOW()
+             WHERE id = $1 AND status = 'pending'
+             RETURNING id`,
+            [request.id]
+        );
+
+        if (updated.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return false;
+        }
+
+        await client.query(
+            `INSERT INTO contacts (user_id, contact_id)
+             VALUES ($1, $2), ($2, $1)
+             ON CONFLICT DO NOTHING`,
+            [request.requester_id, request.addressee_id]
+        );
+
+        await client.query('COMMIT');
+        return true;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Close a pending request without creating a contact
+ * @param {string} requestId - Request ID
+ * @param {string} status - declined or cancelled
+ * @returns {boolean} False if the request was no longer pending
+ */
+const closeRequest = async (requestId, status) => {
+    const result = await query(
+        `UPDATE contact_requests SET status = $2, responded_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING id`,
+        [requestId, status]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Remove a contact in both directions
+ * @param {string} userId - User ID
+ * @param {string} contactId - Contact's user ID
+ * @returns {boolean} True if they were contacts
+ */
+const removeContact = async (userId, contactId) => {
+    const result = await query(
+        `DELETE FROM contacts
+         WHERE (user_id = $1 AND contact_id = $2) OR (user_id = $2 AND contact_id = $1)
+         RETURNING user_id`,
+        [userId, contactId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Check whether a sender may message a recipient under the recipient's privacy setting
+ * Contacts-only users can still be answered by people they messaged first; deleted accounts take no messages
+ * @param {string} senderId - Sender's user ID
+ * @param {string} recipientId - Recipient's user ID
+ * @returns {boolean}
+ */
+const canMessage = async (senderId, recipientId) => {
+    const result = await query(
+        `SELECT 1 FROM users u
+         WHERE u.id = $2
+           AND u.deleted_at IS NULL
+           AND (
+               u.message_privacy = 'everyone'
+               OR EXISTS (SELECT 1 FROM contacts WHERE user_id = $2 AND contact_id = $1)
+               OR EXISTS (
+                   SELECT 1 FROM messages
+                   WHERE sender_id = $2 AND receiver_id = $1 AND conversation_id IS NULL
+               )
+           )`,
+        [senderId, recipientId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Get a user's message privacy setting
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+const getMessagePrivacy = async (userId) => {
+    const result = await query('SELECT message_privacy FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.message_privacy;
+};
+
+/**
+ * Update a user's message privacy setting
+ * @param {string} userId - User ID
+ * @param {string} messagePrivacy - everyone or contacts
+ */
+const setMessagePrivacy = async (userId, messagePrivacy) => {
+    await query('UPDATE users SET message_privacy = $1 WHERE id = $2', [messagePrivacy, userId]);
+};
+
+module.exports = {
+    MESSAGE_PRIVACY_OPTIONS,
+    formatContactResponse,
+    formatRequestResponse,
+    getContacts,
+    areContacts,
+    getRequest,
+    getPendingRequests,
+    getPendingRequestBetween,
+    createRequest,
+    acceptRequest,
+    closeRequest,
+    removeContact,
+    canMessage,
+    getMessagePrivacy,
+    setMessagePrivacy
+};
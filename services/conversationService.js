@@ -0,0 +1,196 @@
+/**
+ * Conversation Service
+ * Shared helpers for group conversations and chat resolution
+ */
+
+const { query } = require('../config/db');
+const { getConversationStorageKeys } = require('./attachmentService');
+
+const GROUP_ROLES = ['owner', 'admin', 'member'];
+
+/**
+ * Get a user's membership in a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {object|null} Conversation row with the member's role, or null if not a member
+ */
+const getMembership = async (conversationId, userId) => {
+    const result = await query(
+        `SELECT c.id, c.name, c.created_by, c.created_at, c.updated_at,
+                cm.role, cm.joined_at, cm.last_read_at
+         FROM conversations c
+         JOIN conversation_members cm ON cm.conversation_id = c.id
+         WHERE c.id = $1 AND cm.user_id = $2`,
+        [conversationId, userId]
+    );
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Get all members of a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {Array} Member rows with user details
+ */
+const getMembers = async (conversationId) => {
+    const result = await query(
+        `SELECT u.id, u.username, u.is_online, u.last_seen, u.avatar_url,
+                cm.role, cm.joined_at
+         FROM conversation_members cm
+         JOIN users u ON u.id = cm.user_id
+         WHERE cm.conversation_id = $1
+         ORDER BY cm.joined_at ASC`,
+        [conversationId]
+    );
+
+    return result.rows;
+};
+
+/**
+ * Get IDs of all group conversations a user belongs to
+ * @param {string} userId - User ID
+ * @returns {string[]}
+ */
+const getUserConversationIds = async (userId) => {
+    const result = await query(
+        'SELECT conversation_id FROM conversation_members WHERE user_id = $1',
+        [userId]
+    );
+
+    return result.rows.map(row => row.conversation_id);
+};
+
+/**
+ * Resolve a chat target that is either a user (direct chat) or a group conversation
+ * @param {string} userId - Current user ID
+ * @param {string} targetId - Partner user ID or group conversation ID
+ * @returns {object|null} { type: 'group', id, conversation } | { type: 'direct', id, partner }
+ */
+const resolveChat = async (userId, targetId) => {
+    const membership = await getMembership(targetId, userId);
+    if (membership) {
+        return { type: 'group', id: membership.id, conversation: membership };
+    }
+
+    const partner = await query(
+        'SELECT id, username FROM users WHERE id = $1',
+        [targetId]
+    );
+
+    if (partner.rows.length === 0) {
+        return null;
+    }
+
+    return { type: 'direct', id: partner.rows[0].id, partner: partner.rows[0] };
+};
+
+/**
+ * SQL condition selecting the messages of a chat (messages aliased as m)
+ * Expects $1 = current user ID and $2 = chat target ID
+ * @param {object} chat - Result of resolveChat
+ * @returns {string}
+ */
+const chatCondition = (chat) => {
+    if (chat.type === 'group') {
+        return `(m.conversation_id = $2 AND EXISTS (
+            SELECT 1 FROM conversation_members cm
+            WHERE cm.conversation_id = $2 AND cm.user_id = $1
+        ))`;
+    }
+
+    return `((m.sender_id = $1 AND m.receiver_id = $2) OR
+             (m.sender_id = $2 AND m.receiver_id = $1))`;
+};
+
+/**
+ * Advance a user's read marker in the group conversations the given messages belong to
+ * @param {string} userId - Reader's user ID
+ * @param {string[]} messageIds - Message IDs being marked as read
+ * @returns {string[]} IDs of group conversations whose read marker moved
+ */
+const markGroupMessagesRead = async (userId, messageIds) => {
+    const result = await query(
+        `UPDATE conversation_members cm
+         SET last_read_at = marked.read_up_to
+         FROM (
+             SELECT conversation_id, MAX(created_at) AS read_up_to
+             FROM messages
+             WHERE id = ANY($1) AND conversation_id IS NOT NULL AND sender_id != $2
+             GROUP BY conversation_id
+         ) marked
+         WHERE cm.conversation_id = marked.conversation_id
+           AND cm.user_id = $2
+           AND (cm.last_read_at IS NULL OR cm.last_read_at < marked.read_up_to)
+         RETURNING cm.conversation_id`,
+        [messageIds, userId]
+    );
+
+    return result.rows.map(row => row.conversation_id);
+};
+
+/**
+ * Remove a member from a group within an open transaction
+ * Ownership passes to the longest-standing admin or member; the last member out removes the group
+ * @param {PoolClient} client - Client with an open transaction
+ * @param {object} membership - Result of getMembership
+ * @param {string} userId - Leaving user ID
+ * @returns {object} { newOwnerId, storageKeys } - files to remove once the transaction commits
+ */
+const removeGroupMember = async (client, membership, userId) => {
+    await client.query(
+        'DELETE FROM conversation_members WHERE conversation_id = $1 AND user_id = $2',
+        [membership.id, userId]
+    );
+
+    let newOwnerId = null;
+    let storageKeys = [];
+
+    if (membership.role === 'owner') {
+        const successor = await client.query(
+            `UPDATE conversation_members SET role = 'owner'
+             WHERE conversation_id = $1 AND user_id = (
+                 SELECT user_id FROM conversation_members
+                 WHERE conversation_id = $1
+                 ORDER BY CASE role WHEN 'admin' THEN 0 ELSE 1 END, joined_at ASC
+                 LIMIT 1
+             )
+             RETURNING user_id`,
+            [membership.id]
+        );
+
+        if (successor.rows.length > 0) {
+            newOwnerId = successor.rows[0].user_id;
+        } else {
+            // Last member left - remove the group, its messages and their files
+            storageKeys = await getConversationStorageKeys(client, membership.id);
+            await client.query('DELETE FROM conversations WHERE id = $1', [membership.id]);
+        }
+    }
+
+    return { newOwnerId, storageKeys };
+};
+
+/**
+ * Format group conversation member for response
+ */
+const formatMemberResponse = (member) => ({
+    id: member.id,
+    username: member.username,
+    isOnline: member.is_online,
+    lastSeen: member.last_seen,
+    avatarUrl: member.avatar_url,
+    role: member.role,
+    joinedAt: member.joined_at
+});
+
+module.exports = {
+    GROUP_ROLES,
+    getMembership,
+    getMembers,
+    getUserConversationIds,
+    resolveChat,
+    chatCondition,
+    markGroupMessagesRead,
+    removeGroupMember,
+    formatMemberResponse
+};
@@ -0,0 +1,131 @@
+/**
+ * Device Token Service
+ * FCM registration tokens of a user's devices
+ */
+
+const { query } = require('../config/db');
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+const MAX_TOKEN_LENGTH = 4096;
+const MAX_APP_VERSION_LENGTH = 50;
+
+/**
+ * Format device token for response
+ */
+const formatDeviceTokenResponse = (row) => ({
+    id: row.id,
+    platform: row.platform,
+    appVersion: row.app_version,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at
+});
+
+/**
+ * Validate a device token registration
+ * @param {object} params - { token, platform, appVersion }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateDeviceToken = ({ token, platform, appVersion }) => {
+    if (!token || typeof token !== 'string' || token.length > MAX_TOKEN_LENGTH) {
+        return 'Token is required';
+    }
+    if (!DEVICE_PLATFORMS.includes(platform)) {
+        return `platform must be one of: ${DEVICE_PLATFORMS.join(', ')}`;
+    }
+    if (appVersion !== undefined && appVersion !== null
+        && (typeof appVersion !== 'string' || appVersion.length > MAX_APP_VERSION_LENGTH)) {
+        return `appVersion must be a string of at most ${MAX_APP_VERSION_LENGTH} characters`;
+    }
+    return null;
+};
+
+/**
+ * Register a device token, or refresh it if already known
+ * A token registered by another account (shared device) moves to this user
+ * @param {string} userId - User ID
+ * @param {string|null} sessionId - Registering session ID
+ * @param {object} device - { token, platform, appVersion }
+ * @returns {object} Device token row
+ */
+const registerDeviceToken = async (userId, sessionId, { token, platform = null, appVersion = null }) => {
+    const result = await query(
+        `INSERT INTO device_tokens (user_id, session_id, token, platform, app_version)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (token) DO UPDATE
+         SET user_id = EXCLUDED.user_id,
+             session_id = EXCLUDED.session_id,
+             platform = COALESCE(EXCLUDED.platform, device_tokens.platform),
+             app_version = COALESCE(EXCLUDED.app_version, device_tokens.app_version),
+             last_seen_at = NOW()
+         RETURNING *`,
+        [userId, sessionId, token, platform, appVersion]
+    );
+
+    return result.rows[0];
+};
+
+/**
+ * Unregister one of a user's device tokens
+ * @param {string} userId - User ID
+ * @param {string} token - FCM token
+ * @returns {boolean} True if the token was registered
+ */
+const unregisterDeviceToken = async (userId, token) => {
+    const result = await query(
+        'DELETE FROM device_tokens WHERE user_id = $1 AND token = $2 RETURNING id',
+        [userId, token]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Get a user's device tokens
+ * @param {string} userId - User ID
+ * @returns {Array} Device token rows, most recently seen first
+ */
+const getDeviceTokens = async (userId) => {
+    const result = await query(
+        `SELECT * FROM device_tokens
+         WHERE user_id = $1
+         ORDER BY last_seen_at DESC`,
+        [userId]
+    );
+
+    return result.rows;
+};
+
+/**
+ * Remove the tokens registered by logged-out sessions
+ * @param {string[]} sessionIds - Session IDs
+ */
+const removeSessionTokens = async (sessionIds) => {
+    if (sessionIds.length === 0) {
+        return;
+    }
+
+    await query('DELETE FROM device_tokens WHERE session_id = ANY($1)', [sessionIds]);
+};
+
+/**
+ * Remove tokens FCM no longer accepts
+ * @param {string[]} tokens - FCM tokens
+ */
+const removeDeviceTokens = async (tokens) => {
+    if (tokens.length === 0) {
+        return;
+    }
+
+    await query('DELETE FROM device_tokens WHERE token = ANY($1)', [tokens]);
+};
+
+module.exports = {
+    DEVICE_PLATFORMS,
+    formatDeviceTokenResponse,
+    validateDeviceToken,
+    registerDeviceToken,
+    unregisterDeviceToken,
+    getDeviceTokens,
+    removeSessionTokens,
+    removeDeviceTokens
+};
@@ -0,0 +1,157 @@
+/**
+ * Email Verification Service
+ * Signed verification links and the policy for unverified accounts
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/db');
+const mailer = require('./mail');
+
+const VERIFICATION_TOKEN_PURPOSE = 'verify_email';
+const VERIFICATION_TOKEN_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+
+/**
+ * What unverified accounts may do (EMAIL_VERIFICATION_POLICY):
+ *   off      - everything
+ *   restrict - keep chatting in existing conversations, but not start new ones (default)
+ *   strict   - nothing that contacts other users
+ */
+const VERIFICATION_POLICIES = ['off', 'restrict', 'strict'];
+const verificationPolicy = process.env.EMAIL_VERIFICATION_POLICY || 'restrict';
+
+if (!VERIFICATION_POLICIES.includes(verificationPolicy)) {
+    throw new Error(`Unknown EMAIL_VERIFICATION_POLICY: ${verificationPolicy}`);
+}
+
+const UNVERIFIED_NEW_CONVERSATION_ERROR = 'Verify your email address to start new conversations';
+const UNVERIFIED_MESSAGE_ERROR = 'Verify your email address to send messages';
+
+/**
+ * Secret verification links are signed with
+ * Kept apart from JWT_SECRET so a link can never be used as an access token
+ */
+const getVerificationSecret = () => process.env.EMAIL_VERIFICATION_SECRET
+    || crypto.createHmac('sha256', process.env.JWT_SECRET).update('email-verification').digest('hex');
+
+/**
+ * Email a verification link to a user
+ * The link is bound to the address, so it stops working if the email changes
+ * @param {object} user - User row (id, username, email)
+ */
+const sendVerificationEmail = async (user) => {
+    const token = jwt.sign(
+        { userId: user.id, email: user.email, purpose: VERIFICATION_TOKEN_PURPOSE },
+        getVerificationSecret(),
+        { expiresIn: VERIFICATION_TOKEN_EXPIRES_IN }
+    );
+
+    const appUrl = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+    const verifyUrl = `${appUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    await mailer.send({
+        to: user.email,
+        subject: 'Confirm your Toki email address',
+        text: `Hi ${user.username},\n\n`
+            + `Welcome to Toki! Confirm your email address by opening this link:\n\n`
+            + `${verifyUrl}\n\n`
+            + `If you didn't create a Toki account, ignore this email.`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>Welcome to Toki! Confirm your email address by opening this link:</p>`
+            + `<p><a href="${verifyUrl}">Verify email address</a></p>`
+            + `<p>If you didn't create a Toki account, ignore this email.</p>`
+    });
+};
+
+/**
+ * Mark the address in a verification link as verified
+ * @param {string} token - Token from the verification link
+ * @returns {string|null} Verified user's ID, or null if the token is invalid, expired or outdated
+ */
+const verifyEmailToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, getVerificationSecret());
+    } catch (error) {
+        return null;
+    }
+
+    if (decoded.purpose !== VERIFICATION_TOKEN_PURPOSE) {
+        return null;
+    }
+
+    const result = await query(
+        `UPDATE users
+         SET email_verified = true, email_verified_at = COALESCE(email_verified_at, NOW())
+         WHERE id = $1 AND email = $2
+         RETURNING id`,
+        [decoded.userId, decoded.email]
+    );
+
+    return result.rows[0]?.id || null;
+};
+
+/**
+ * Check whether a user has verified their email address
+ * @param {string} userId - User ID
+ * @returns {boolean}
+ */
+const isEmailVerified = async (userId) => {
+    const result = await query('SELECT email_verified FROM users WHERE id = $1', [userId]);
+    return Boolean(result.rows[0]?.email_verified);
+};
+
+/**
+ * Check whether the verification policy lets a user start a new conversation
+ * (create a group or send a contact request)
+ * @param {string} userId - User ID
+ * @returns {string|null} Error message, or null if allowed
+ */
+const checkNewConversationPolicy = async (userId) => {
+    if (verificationPolicy === 'off' || await isEmailVerified(userId)) {
+        return null;
+    }
+
+    return UNVERIFIED_NEW_CONVERSATION_ERROR;
+};
+
+/**
+ * Check whether the verification policy lets a user send a message
+ * A direct message to someone they never exchanged messages with starts a new conversation
+ * @param {string} userId - Sender's user ID
+ * @param {object} target - { receiverId } for a direct message, {} for a group message
+ * @returns {string|null} Error message, or null if allowed
+ */
+const checkSendPolicy = async (userId, { receiverId }) => {
+    if (verificationPolicy === 'off' || await isEmailVerified(userId)) {
+        return null;
+    }
+
+    if (verificationPolicy === 'strict') {
+        return UNVERIFIED_MESSAGE_ERROR;
+    }
+
+    if (receiverId) {
+        const history = await query(
+            `SELECT 1 FROM messages
+             WHERE conversation_id IS NULL
+               AND ((sender_id = $1 AND receiver_id = $2) OR (sender_id = $2 AND receiver_id = $1))
+             LIMIT 1`,
+            [userId, receiverId]
+        );
+
+        if (history.rows.length === 0) {
+            return UNVERIFIED_NEW_CONVERSATION_ERROR;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    sendVerificationEmail,
+    verifyEmailToken,
+    isEmailVerified,
+    checkNewConversationPolicy,
+    checkSendPolicy
+};
@@ -0,0 +1,82 @@
+/**
+ * Hidden Message Service
+ * Per-user message visibility: "delete for me" and "clear chat" hide messages
+ * only for the caller, the other participants keep them
+ */
+
+const { query } = require('../config/db');
+const { chatCondition } = require('./conversationService');
+
+/**
+ * SQL condition excluding the messages a user has hidden
+ * @param {string} userParam - Placeholder holding the user ID (e.g. '$1')
+ * @param {string} [alias] - Alias of the messages table
+ * @returns {string}
+ */
+const notHiddenCondition = (userParam, alias = 'm') => `NOT EXISTS (
+    SELECT 1 FROM hidden_messages hm WHERE hm.message_id = ${alias}.id AND hm.user_id = ${userParam}
+)`;
+
+/**
+ * Hide a single message for a user ("delete for me")
+ * Works for any message of a chat the user is in, including deleted ones
+ * @param {string} userId - User ID
+ * @param {string} messageId - Message ID
+ * @returns {object|null} { messageId, hiddenAt }, or null if the message is not visible to the user
+ */
+const hideMessage = async (userId, messageId) => {
+    const result = await query(
+        `INSERT INTO hidden_messages (user_id, message_id)
+         SELECT $2, m.id
+         FROM messages m
+         WHERE m.id = $1
+           AND (
+               m.sender_id = $2 OR m.receiver_id = $2
+               OR EXISTS (
+                   SELECT 1 FROM conversation_members cm
+                   WHERE cm.conversation_id = m.conversation_id AND cm.user_id = $2
+               )
+           )
+         ON CONFLICT (user_id, message_id) DO UPDATE SET hidden_at = hidden_messages.hidden_at
+         RETURNING message_id, hidden_at`,
+        [messageId, userId]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    return {
+        messageId: result.rows[0].message_id,
+        hiddenAt: result.rows[0].hidden_at
+    };
+};
+
+/**
+ * Hide every message of a chat up to now for a user ("clear chat")
+ * Messages arriving afterwards are shown again as usual
+ * @param {string} userId - User ID
+ * @param {object} chat - Result of resolveChat
+ * @returns {object} { clearedAt, hiddenCount }
+ */
+const clearChat = async (userId, chat) => {
+    const clearedAt = new Date();
+
+    const result = await query(
+        `INSERT INTO hidden_messages (user_id, message_id, hidden_at)
+         SELECT $1, m.id, $3
+         FROM messages m
+         WHERE ${chatCondition(chat)}
+           AND m.created_at <= $3
+         ON CONFLICT (user_id, message_id) DO NOTHING`,
+        [userId, chat.id, clearedAt]
+    );
+
+    return { clearedAt, hiddenCount: result.rowCount };
+};
+
+module.exports = {
+    notHiddenCondition,
+    hideMessage,
+    clearChat
+};
@@ -0,0 +1,14 @@
+/**
+ * Console Mail Transport
+ * Prints emails to the server log instead of sending them (local development)
+ */
+
+/**
+ * Send an email
+ * @param {object} email - { to, subject, text }
+ */
+const send = async ({ to, subject, text }) => {
+    console.log(`\n📧 Email to ${to}: ${subject}\n${text}\n`);
+};
+
+module.exports = { send };
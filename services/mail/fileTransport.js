@@ -0,0 +1,28 @@
+/**
+ * File Mail Transport
+ * Writes each email as a JSON file under MAIL_DIR (default ./mail-outbox) for local testing
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '../../mail-outbox'));
+
+/**
+ * Send an email
+ * @param {object} email - { to, subject, text, html }
+ */
+const send = async ({ to, subject, text, html }) => {
+    await fs.mkdir(MAIL_DIR, { recursive: true });
+
+    const sentAt = new Date().toISOString();
+    const fileName = `${sentAt.replace(/[:.]/g, '-')}-${crypto.randomUUID()}.json`;
+
+    await fs.writeFile(
+        path.join(MAIL_DIR, fileName),
+        JSON.stringify({ to, subject, text, html, sentAt }, null, 2)
+    );
+};
+
+module.exports = { send };
@@ -0,0 +1,20 @@
+/**
+ * Mail Transport
+ * Selected by MAIL_TRANSPORT. A transport exposes:
+ *   send({ to, subject, text, html })  - deliver one email
+ * smtp sends real mail; console and file are for local development.
+ */
+
+const transports = {
+    smtp: () => require('./smtpTransport'),
+    console: () => require('./consoleTransport'),
+    file: () => require('./fileTransport')
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+
+if (!transports[transportName]) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transportName}`);
+}
+
+module.exports = transports[transportName]();
@@ -0,0 +1,34 @@
+/**
+ * SMTP Mail Transport
+ * Configured by SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER and SMTP_PASSWORD
+ */
+
+const nodemailer = require('nodemailer');
+
+const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && {
+        auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASSWORD
+        }
+    })
+});
+
+/**
+ * Send an email
+ * @param {object} email - { to, subject, text, html }
+ */
+const send = async ({ to, subject, text, html }) => {
+    await transporter.sendMail({
+        from: process.env.MAIL_FROM || 'Toki <no-reply@toki.app>',
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = { send };
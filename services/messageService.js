@@ -0,0 +1,475 @@
+/**
+ * Message Service
+ * Sending, editing, deleting and reading messages, shared by the REST routes and socket handlers
+ * so both transports apply the same rules and publish the same real-time events.
+ *
+ * Operations return { status: 'ok', ... } or { status: 'invalid' | 'not_found' | 'forbidden', error }.
+ */
+
+const { query, getClient } = require('../config/db');
+const { resolveChat, markGroupMessagesRead } = require('./conversationService');
+const { markMessagesDelivered, buildDeliveredEvents } = require('./receiptService');
+const { isValidReplyTarget, attachReplyPreviews } = require('./replyService');
+const {
+    validateAttachmentIds,
+    areAttachmentsAvailable,
+    linkAttachments,
+    attachAttachments,
+    removeMessageAttachments
+} = require('./attachmentService');
+const { isBlockedBetween } = require('./blockService');
+const { canMessage } = require('./contactService');
+const { checkSendPolicy } = require('./emailVerificationService');
+const { notifyNewMessage } = require('./notificationService');
+const {
+    EDIT_WINDOW_MINUTES,
+    validateEditContent,
+    reviseMessage,
+    removeMessageRevisions
+} = require('./revisionService');
+const { hideMessage: hideMessageForUser, clearChat: clearChatForUser } = require('./hiddenMessageService');
+const { recordMessageHidden, recordChatCleared } = require('./syncService');
+const { removeMessagePinAndStars } = require('./pinService');
+const { isUserOnline } = require('../socket/presence');
+const {
+    emitToUser,
+    emitToUserWithAck,
+    emitToConversation,
+    emitToMessageAudience
+} = require('../socket/emitter');
+
+const MAX_CONTENT_LENGTH = 5000;
+const MAX_READ_BATCH = 500;
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 100;
+
+// How long to wait for the recipient's devices to acknowledge receive_message
+const DELIVERY_ACK_TIMEOUT_MS = 10000;
+
+// Minutes after sending during which a message may be deleted for everyone (0 = no limit, unset or invalid = 48 hours)
+const configuredDeleteWindow = parseInt(process.env.MESSAGE_DELETE_WINDOW_MINUTES, 10);
+const DELETE_WINDOW_MINUTES = Number.isNaN(configuredDeleteWindow) ? 2880 : configuredDeleteWindow;
+
+const MESSAGE_COLUMNS = `id, sender_id, receiver_id, conversation_id, content, message_type, reply_to_id,
+                         created_at, delivered_at, is_read, read_at`;
+
+const fail = (status, error) => ({ status, error });
+
+/**
+ * Human-readable length of an edit or delete window (e.g. "48 hours", "90 minutes")
+ * @param {number} minutes - Window length in minutes
+ */
+const describeWindow = (minutes) => {
+    const hours = minutes / 60;
+    return Number.isInteger(hours)
+        ? `${hours} hour${hours === 1 ? '' : 's'}`
+        : `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+/**
+ * Page size of the message history from a client-supplied limit
+ */
+const getHistoryPageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+
+/**
+ * Format a message row for response
+ * @param {object} row - Message row
+ * @param {string} senderUsername - Sender's username
+ */
+const formatMessageResponse = (row, senderUsername) => ({
+    id: row.id,
+    senderId: row.sender_id,
+    receiverId: row.receiver_id,
+    conversationId: row.conversation_id,
+    content: row.content,
+    messageType: row.message_type,
+    replyToId: row.reply_to_id,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    isRead: row.is_read,
+    readAt: row.read_at,
+    senderUsername
+});
+
+/**
+ * Validate the content and attachments of an outgoing message
+ * @param {object} input - { content, attachmentIds }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateMessageInput = ({ content, attachmentIds }) => {
+    const attachmentError = validateAttachmentIds(attachmentIds);
+    if (attachmentError) {
+        return attachmentError;
+    }
+    if (content.trim().length === 0 && (!attachmentIds || attachmentIds.length === 0)) {
+        return 'Message content is required';
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+        return `Message too long (max ${MAX_CONTENT_LENGTH} characters)`;
+    }
+    return null;
+};
+
+/**
+ * Mark messages received by a user as delivered and notify their senders
+ * @param {string} recipientId - Recipient user ID
+ * @param {object} filter - { senderId } or { messageIds }
+ */
+const deliverMessages = async (recipientId, filter) => {
+    const delivery = await markMessagesDelivered(recipientId, filter);
+    buildDeliveredEvents(recipientId, delivery).forEach(({ senderId, payload }) => {
+        emitToUser(senderId, 'messages_delivered', payload);
+    });
+};
+
+/**
+ * Publish a new message: confirm to the sender's devices, deliver to the recipients, push
+ * @param {object} message - Formatted message
+ * @param {string} [tempId] - Client-side ID of the optimistic message
+ */
+const publishNewMessage = async (message, tempId) => {
+    // Confirm to all of the sender's devices
+    emitToUser(message.senderId, 'message_sent', { tempId, message });
+
+    if (message.conversationId) {
+        // Deliver to every other member in the conversation room
+        emitToConversation(message.conversationId, 'receive_message', { message }, message.senderId);
+    } else if (await isUserOnline(message.receiverId)) {
+        // Deliver to all of the recipient's devices (on any instance);
+        // the first device to acknowledge marks the message delivered
+        emitToUserWithAck(message.receiverId, 'receive_message', { message }, DELIVERY_ACK_TIMEOUT_MS, (err, acks) => {
+            if (!acks || acks.length === 0) return;
+            deliverMessages(String(message.receiverId), { messageIds: [message.id] }).catch(error => {
+                console.error('Mark delivered error:', error);
+            });
+        });
+    }
+
+    // Push to recipients who are offline or backgrounded
+    notifyNewMessage(message).catch(error => {
+        console.error('Push notification error:', error);
+    });
+};
+
+/**
+ * Insert a message and claim its attachments in one transaction
+ * @param {string} senderId - Sender's user ID
+ * @param {object} params - { receiverId, conversationId, content, replyToId, attachmentIds }
+ * @returns {object|null} Message row, or null if an attachment was no longer available
+ */
+const insertMessage = async (senderId, { receiverId, conversationId, content, replyToId, attachmentIds }) => {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        const result = await client.query(
+            `INSERT INTO messages (sender_id, receiver_id, conversation_id, content, message_type, reply_to_id)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING ${MESSAGE_COLUMNS}`,
+            [senderId, receiverId, conversationId, content, attachmentIds.length > 0 ? 'attachment' : 'text', replyToId || null]
+        );
+
+        if (attachmentIds.length > 0 && !(await linkAttachments(client, result.rows[0].id, attachmentIds, senderId))) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+
+        await client.query('COMMIT');
+
+        return result.rows[0];
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Send a message to a user or group conversation
+ * @param {object} sender - { id, username }
+ * @param {object} params - { chatId (partner user or group conversation), content, replyToId, attachmentIds, tempId }
+ * @returns {object} { status: 'ok', message } or a failure
+ */
+const sendMessage = async (sender, { chatId, content, replyToId, attachmentIds = [], tempId }) => {
+    const text = typeof content === 'string' ? content : '';
+
+    const validationError = validateMessageInput({ content: text, attachmentIds });
+    if (validationError) {
+        return fail('invalid', validationError);
+    }
+
+    const chat = chatId ? await resolveChat(sender.id, chatId) : null;
+
+    if (!chat) {
+        return fail('not_found', 'Recipient not found');
+    }
+
+    const receiverId = chat.type === 'direct' ? chat.id : null;
+    const conversationId = chat.type === 'group' ? chat.id : null;
+
+    if (receiverId && await isBlockedBetween(sender.id, receiverId)) {
+        return fail('forbidden', 'You cannot message this user');
+    }
+
+    if (receiverId && !(await canMessage(sender.id, receiverId))) {
+        return fail('forbidden', 'This user only accepts messages from contacts');
+    }
+
+    const policyError = await checkSendPolicy(sender.id, { receiverId });
+    if (policyError) {
+        return fail('forbidden', policyError);
+    }
+
+    // Replies must quote a message from the same conversation
+    if (replyToId && !(await isValidReplyTarget(replyToId, { senderId: sender.id, receiverId, conversationId }))) {
+        return fail('invalid', 'Reply target not found in this conversation');
+    }
+
+    if (attachmentIds.length > 0 && !(await areAttachmentsAvailable(attachmentIds, sender.id))) {
+        return fail('invalid', 'Attachment not found or already sent');
+    }
+
+    const row = await insertMessage(sender.id, {
+        receiverId,
+        conversationId,
+        content: text.trim(),
+        replyToId,
+        attachmentIds
+    });
+
+    // Another send claimed one of the attachments in the meantime
+    if (!row) {
+        return fail('invalid', 'Attachment not found or already sent');
+    }
+
+    const [message] = await attachAttachments(await attachReplyPreviews([
+        formatMessageResponse(row, sender.username)
+    ]));
+
+    console.log(`📨 Message from ${sender.username} to ${chat.type === 'group' ? `group ${chat.conversation.name}` : chat.partner.username}`);
+
+    await publishNewMessage(message, tempId);
+
+    return { status: 'ok', message };
+};
+
+/**
+ * Edit a message within the edit window, keeping the replaced text as a revision
+ * @param {string} userId - Editing user ID (must be the sender)
+ * @param {string} messageId - Message ID
+ * @param {*} content - New content
+ * @returns {object} { status: 'ok', message } with the updated message row, or a failure
+ */
+const editMessage = async (userId, messageId, content) => {
+    const validationError = validateEditContent(content);
+    if (validationError) {
+        return fail('invalid', validationError);
+    }
+
+    const edit = await reviseMessage(userId, messageId, content);
+
+    if (edit.status === 'not_found') {
+        return fail('not_found', 'Message not found');
+    }
+    if (edit.status === 'forbidden') {
+        return fail('forbidden', 'You can only edit your own messages');
+    }
+    if (edit.status === 'deleted') {
+        return fail('invalid', 'Cannot edit a deleted message');
+    }
+    if (edit.status === 'expired') {
+        return fail('forbidden', `Messages can only be edited within ${describeWindow(EDIT_WINDOW_MINUTES)} of sending`);
+    }
+
+    const updated = edit.message;
+
+    emitToMessageAudience(updated, 'message_updated', {
+        id: updated.id,
+        conversationId: updated.conversation_id,
+        content: updated.content,
+        isEdited: updated.is_edited,
+        editedAt: updated.edited_at,
+        senderId: updated.sender_id
+    });
+
+    return { status: 'ok', message: updated };
+};
+
+/**
+ * Delete a message for everyone (soft delete) within the delete window;
+ * its files and edit history are removed
+ * @param {string} userId - Deleting user ID (must be the sender)
+ * @param {string} messageId - Message ID
+ * @returns {object} { status: 'ok' } or a failure
+ */
+const deleteMessage = async (userId, messageId) => {
+    const messageCheck = await query(
+        `SELECT id, sender_id, receiver_id, conversation_id,
+                ($2::int > 0 AND created_at < NOW() - make_interval(mins => $2::int)) as is_expired
+         FROM messages WHERE id = $1`,
+        [messageId, DELETE_WINDOW_MINUTES]
+    );
+
+    if (messageCheck.rows.length === 0) {
+        return fail('not_found', 'Message not found');
+    }
+
+    const message = messageCheck.rows[0];
+
+    // Only sender can delete their message
+    if (message.sender_id !== userId) {
+        return fail('forbidden', 'You can only delete your own messages');
+    }
+
+    if (message.is_expired) {
+        return fail('forbidden', `Messages can only be deleted for everyone within ${describeWindow(DELETE_WINDOW_MINUTES)} of sending`);
+    }
+
+    const result = await query(
+        `UPDATE messages
+         SET is_deleted = true, deleted_at = NOW(), content = '[Message deleted]', original_content = NULL
+         WHERE id = $1
+         RETURNING deleted_at`,
+        [messageId]
+    );
+
+    // Files, earlier versions, the pin and stars of a deleted message are no longer available
+    await removeMessageAttachments(messageId);
+    await removeMessageRevisions(messageId);
+    await removeMessagePinAndStars(messageId);
+
+    emitToMessageAudience(message, 'message_deleted', {
+        id: message.id,
+        conversationId: message.conversation_id,
+        senderId: message.sender_id,
+        deletedAt: result.rows[0].deleted_at
+    });
+
+    return { status: 'ok' };
+};
+
+/**
+ * Delete a message for the user only; the other participants keep it
+ * @param {string} userId - User ID
+ * @param {string} messageId - Message ID
+ * @returns {object} { status: 'ok', hiddenAt } or a failure
+ */
+const hideMessage = async (userId, messageId) => {
+    const hidden = await hideMessageForUser(userId, messageId);
+
+    if (!hidden) {
+        return fail('not_found', 'Message not found');
+    }
+
+    await recordMessageHidden(userId, messageId);
+
+    // Let the user's other devices drop the message
+    emitToUser(userId, 'message_hidden', { messageId, hiddenAt: hidden.hiddenAt });
+
+    return { status: 'ok', hiddenAt: hidden.hiddenAt };
+};
+
+/**
+ * Clear a direct chat or group for the user only; the other participants keep their history
+ * @param {string} userId - User ID
+ * @param {string} chatId - Partner user or group conversation ID
+ * @returns {object} { status: 'ok', clearedAt, hiddenCount } or a failure
+ */
+const clearChat = async (userId, chatId) => {
+    const chat = await resolveChat(userId, chatId);
+
+    if (!chat) {
+        return fail('not_found', 'Conversation not found');
+    }
+
+    const { clearedAt, hiddenCount } = await clearChatForUser(userId, chat);
+
+    await recordChatCleared(userId, chat, clearedAt);
+
+    emitToUser(userId, 'chat_cleared', {
+        ...(chat.type === 'group' ? { conversationId: chat.id } : { partnerId: chat.id }),
+        clearedAt
+    });
+
+    return { status: 'ok', clearedAt, hiddenCount };
+};
+
+/**
+ * Mark messages as read and send read receipts
+ * Direct messages notify their senders; group messages advance the reader's marker
+ * and notify the other members
+ * @param {string} userId - Reader's user ID
+ * @param {*} messageIds - Message IDs supplied by the client
+ * @returns {object} { status: 'ok', readAt } or a failure
+ */
+const markMessagesRead = async (userId, messageIds) => {
+    if (!Array.isArray(messageIds) || messageIds.length === 0) {
+        return fail('invalid', 'Message IDs array is required');
+    }
+    if (messageIds.length > MAX_READ_BATCH) {
+        return fail('invalid', `At most ${MAX_READ_BATCH} messages can be marked at once`);
+    }
+
+    const readAt = new Date();
+
+    const direct = await query(
+        `UPDATE messages
+         SET is_read = true, read_at = $1, delivered_at = COALESCE(delivered_at, $1)
+         WHERE id = ANY($2) AND receiver_id = $3 AND is_read = false
+         RETURNING id, sender_id`,
+        [readAt, messageIds, userId]
+    );
+
+    // Group messages advance the member's read marker instead
+    const readConversationIds = await markGroupMessagesRead(userId, messageIds);
+
+    const idsBySender = new Map();
+    direct.rows.forEach(row => {
+        if (!idsBySender.has(row.sender_id)) {
+            idsBySender.set(row.sender_id, []);
+        }
+        idsBySender.get(row.sender_id).push(row.id);
+    });
+
+    idsBySender.forEach((ids, senderId) => {
+        emitToUser(senderId, 'messages_read', {
+            messageIds: ids,
+            readAt: readAt.toISOString(),
+            readBy: userId
+        });
+    });
+
+    if (readConversationIds.length > 0) {
+        const groupMessages = await query(
+            'SELECT id, conversation_id FROM messages WHERE id = ANY($1) AND conversation_id = ANY($2)',
+            [messageIds, readConversationIds]
+        );
+
+        readConversationIds.forEach(conversationId => {
+            emitToConversation(conversationId, 'messages_read', {
+                conversationId,
+                messageIds: groupMessages.rows
+                    .filter(row => row.conversation_id === conversationId)
+                    .map(row => row.id),
+                readAt: readAt.toISOString(),
+                readBy: userId
+            }, userId);
+        });
+    }
+
+    return { status: 'ok', readAt };
+};
+
+module.exports = {
+    getHistoryPageSize,
+    formatMessageResponse,
+    deliverMessages,
+    sendMessage,
+    editMessage,
+    deleteMessage,
+    hideMessage,
+    clearChat,
+    markMessagesRead
+};
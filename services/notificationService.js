@@ -1,64 +1,279 @@
-const admin = require('../config/firebase');
 const { query } = require('../config/db');
+const { isUserActive } = require('../socket/presence');
+const { getDeviceTokens, removeDeviceTokens } = require('./deviceTokenService');
+const { getPushSettings } = require('./notificationSettingsService');
+const { notHiddenCondition } = require('./hiddenMessageService');
+
+const PREVIEW_LENGTH = 100;
+const HIDDEN_PREVIEW = 'New message';
+const ATTACHMENT_PREVIEW = '📎 Attachment';
+
+// FCM accepts at most 500 tokens per multicast
+const MAX_MULTICAST_TOKENS = 500;
+const UNREGISTERED_TOKEN_ERRORS = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+// FCM messaging client; loaded from config/firebase on first use unless injected
+let messagingClient;
+
+/**
+ * Replace the FCM messaging client (e.g. with a local fake in tests)
+ * @param {object|null} client - Object with sendEachForMulticast(message), or null to disable pushes
+ */
+const setMessagingClient = (client) => {
+    messagingClient = client;
+};
+
+/**
+ * Get the FCM messaging client
+ * @returns {object|null} Null when Firebase is not configured
+ */
+const getMessagingClient = () => {
+    if (messagingClient === undefined) {
+        const admin = require('../config/firebase');
+        messagingClient = admin.apps.length > 0 ? admin.messaging() : null;
+    }
+    return messagingClient;
+};
+
+/**
+ * Build the platform-specific part of a push
+ * Tokens migrated without a platform get both the Android and APNs options
+ * @param {string|null} platform - android, ios, web or null
+ * @param {object} notification - { collapseKey, badge }
+ * @returns {object}
+ */
+const buildPlatformOptions = (platform, { collapseKey, badge }) => {
+    const android = {
+        priority: 'high',
+        ...(collapseKey && { collapseKey }),
+        notification: {
+            channelId: 'messages',
+            ...(collapseKey && { tag: collapseKey }),
+            ...(badge !== undefined && { notificationCount: badge }),
+        }
+    };
+
+    const apns = {
+        ...(collapseKey && {
+            headers: { 'apns-collapse-id': collapseKey }
+        }),
+        payload: {
+            aps: {
+                contentAvailable: true,
+                ...(badge !== undefined && { badge }),
+            },
+        },
+    };
+
+    const webpush = {
+        headers: { Urgency: 'high' },
+        ...(collapseKey && {
+            notification: { tag: collapseKey, renotify: true }
+        }),
+    };
+
+    switch (platform) {
+        case 'android':
+            return { android };
+        case 'ios':
+            return { apns };
+        case 'web':
+            return { webpush };
+        default:
+            return { android, apns };
+    }
+};
 
 /**
- * Send push notification to a user
+ * Send push notification to every registered device of a user
+ * Tokens FCM reports as unregistered are pruned
  * @param {string} userId - Target user ID
- * @param {object} notification - { title, body, data }
+ * @param {object} notification - { title, body, data, collapseKey, badge }
+ * @returns {boolean} True if at least one device accepted the push
  */
 const sendNotification = async (userId, notification) => {
     try {
-        // Get user's FCM token
-        const result = await query(
-            'SELECT fcm_token FROM users WHERE id = $1',
-            [userId]
-        );
+        const client = getMessagingClient();
+        if (!client) {
+            return false; // Push disabled
+        }
 
-        if (result.rows.length === 0 || !result.rows[0].fcm_token) {
-            return false; // No token
+        const devices = await getDeviceTokens(userId);
+
+        if (devices.length === 0) {
+            return false; // No tokens
         }
 
-        const token = result.rows[0].fcm_token;
+        // One multicast per platform, each with that platform's options
+        const tokensByPlatform = new Map();
+        devices.forEach(device => {
+            if (!tokensByPlatform.has(device.platform)) {
+                tokensByPlatform.set(device.platform, []);
+            }
+            tokensByPlatform.get(device.platform).push(device.token);
+        });
 
-        const message = {
-            notification: {
-                title: notification.title,
-                body: notification.body,
-            },
-            data: {
-                click_action: 'FLUTTER_NOTIFICATION_CLICK',
-                ...notification.data,
-            },
-            token: token,
-            android: {
-                priority: 'high',
-                notification: {
-                    channelId: 'messages',
-                }
-            },
-            apns: {
-                payload: {
-                    aps: {
-                        contentAvailable: true,
+        const deadTokens = [];
+        let delivered = 0;
+
+        for (const [platform, tokens] of tokensByPlatform) {
+            for (let i = 0; i < tokens.length; i += MAX_MULTICAST_TOKENS) {
+                const batch = tokens.slice(i, i + MAX_MULTICAST_TOKENS);
+
+                const response = await client.sendEachForMulticast({
+                    notification: {
+                        title: notification.title,
+                        body: notification.body,
                     },
-                },
-            },
-        };
+                    data: {
+                        click_action: 'FLUTTER_NOTIFICATION_CLICK',
+                        ...notification.data,
+                    },
+                    tokens: batch,
+                    ...buildPlatformOptions(platform, notification),
+                });
+
+                delivered += response.successCount;
+                response.responses.forEach((result, index) => {
+                    if (!result.success && UNREGISTERED_TOKEN_ERRORS.includes(result.error?.code)) {
+                        deadTokens.push(batch[index]);
+                    }
+                });
+            }
+        }
+
+        await removeDeviceTokens(deadTokens);
 
-        await admin.messaging().send(message);
-        return true;
+        return delivered > 0;
 
     } catch (error) {
         console.error('Error sending notification:', error);
-        // If token invalid, could remove it from DB
-        if (error.code === 'messaging/registration-token-not-registered') {
-            await query(
-                'UPDATE users SET fcm_token = NULL WHERE id = $1',
-                [userId]
-            );
-        }
         return false;
     }
 };
 
-module.exports = { sendNotification };
+/**
+ * Count a user's unread direct and group messages (app icon badge)
+ * @param {string} userId - User ID
+ * @returns {number}
+ */
+const getUnreadBadgeCount = async (userId) => {
+    const result = await query(
+        `SELECT
+            (
+                SELECT COUNT(*) FROM messages m
+                WHERE m.receiver_id = $1 AND m.is_read = false AND ${notHiddenCondition('$1')}
+            )
+            + (
+                SELECT COUNT(*)
+                FROM conversation_members cm
+                JOIN messages m ON m.conversation_id = cm.conversation_id
+                WHERE cm.user_id = $1
+                  AND m.sender_id != $1
+                  AND m.created_at > COALESCE(cm.last_read_at, cm.joined_at)
+                  AND ${notHiddenCondition('$1')}
+            ) AS count`,
+        [userId]
+    );
+
+    return parseInt(result.rows[0].count, 10);
+};
+
+/**
+ * Build the preview line of a message
+ */
+const buildPreview = (message, hideContent) => {
+    if (hideContent) {
+        return HIDDEN_PREVIEW;
+    }
+    if (!message.content) {
+        return message.messageType === 'attachment' ? ATTACHMENT_PREVIEW : HIDDEN_PREVIEW;
+    }
+    return message.content.length > PREVIEW_LENGTH
+        ? `${message.content.substring(0, PREVIEW_LENGTH)}…`
+        : message.content;
+};
+
+/**
+ * Whether a message @mentions a user (usernames are letters, digits and underscores)
+ */
+const mentions = (message, username) =>
+    new RegExp(`(^|\\W)@${username}(?!\\w)`, 'i').test(message.content || '');
+
+/**
+ * Whether a recipient's settings allow a push for a message
+ * Quiet hours and mutes silence everything; mentions-only groups push mentions
+ * @param {object} recipient - Row from getPushSettings
+ * @param {object} message - Formatted message
+ */
+const shouldPush = (recipient, message) => {
+    if (recipient.in_quiet_hours || recipient.is_muted) {
+        return false;
+    }
+    if (recipient.mentions_only && !mentions(message, recipient.username)) {
+        return false;
+    }
+    return true;
+};
+
+/**
+ * Push a new message to recipients without a foreground socket, honouring their notification settings
+ * Pushes of one conversation share a collapse key, so devices show only the latest
+ * @param {object} message - Formatted message (senderId, receiverId, conversationId, content, messageType, senderUsername)
+ */
+const notifyNewMessage = async (message) => {
+    if (!getMessagingClient()) {
+        return;
+    }
+
+    let recipientIds = [message.receiverId];
+    let conversationName = null;
+
+    if (message.conversationId) {
+        const result = await query(
+            `SELECT c.name, cm.user_id
+             FROM conversations c
+             JOIN conversation_members cm ON cm.conversation_id = c.id
+             WHERE c.id = $1 AND cm.user_id != $2`,
+            [message.conversationId, message.senderId]
+        );
+        recipientIds = result.rows.map(row => row.user_id);
+        conversationName = result.rows[0]?.name;
+    }
+
+    if (recipientIds.length === 0) {
+        return;
+    }
+
+    const recipients = await getPushSettings(recipientIds, message);
+
+    for (const recipient of recipients) {
+        if (!shouldPush(recipient, message)) continue;
+        if (await isUserActive(recipient.id)) continue;
+
+        const preview = buildPreview(message, recipient.push_hide_content);
+
+        await sendNotification(recipient.id, {
+            title: conversationName || message.senderUsername,
+            body: conversationName ? `${message.senderUsername}: ${preview}` : preview,
+            data: {
+                type: 'message',
+                messageId: String(message.id),
+                senderId: String(message.senderId),
+                ...(message.conversationId && { conversationId: String(message.conversationId) })
+            },
+            collapseKey: message.conversationId ? `group_${message.conversationId}` : `chat_${message.senderId}`,
+            badge: await getUnreadBadgeCount(recipient.id)
+        });
+    }
+};
+
+module.exports = {
+    setMessagingClient,
+    sendNotification,
+    getUnreadBadgeCount,
+    notifyNewMessage
+};
@@ -0,0 +1,257 @@
+/**
+ * Notification Settings Service
+ * Per-chat mute settings and global push preferences (preview, quiet hours)
+ */
+
+const { query } = require('../config/db');
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Whether a string is an IANA time zone
+ * @param {string} timezone - Time zone name
+ * @returns {boolean}
+ */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Settings column identifying a chat: the partner for direct chats, the conversation for groups
+ * @param {object} chat - Result of resolveChat
+ */
+const chatColumn = (chat) => (chat.type === 'group' ? 'conversation_id' : 'partner_id');
+
+/**
+ * Format a chat's notification settings for response
+ * Expired mutes are reported as not muted
+ * @param {object} [row] - Settings row (muted_forever, muted_until, mentions_only), absent for defaults
+ */
+const formatChatNotificationSettings = (row) => {
+    const mutedUntil = row?.muted_until && new Date(row.muted_until) > new Date() ? row.muted_until : null;
+
+    return {
+        muted: Boolean(row?.muted_forever || mutedUntil),
+        mutedUntil: row?.muted_forever ? null : mutedUntil,
+        mentionsOnly: Boolean(row?.mentions_only)
+    };
+};
+
+/**
+ * Validate a chat settings update
+ * @param {object} settings - { muted, mutedUntil, mentionsOnly }
+ * @param {object} chat - Result of resolveChat
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateChatNotificationSettings = ({ muted, mutedUntil, mentionsOnly }, chat) => {
+    if (muted === undefined && mutedUntil === undefined && mentionsOnly === undefined) {
+        return 'Nothing to update';
+    }
+    if (muted !== undefined && typeof muted !== 'boolean') {
+        return 'muted must be a boolean';
+    }
+    if (mutedUntil !== undefined && mutedUntil !== null) {
+        if (muted === false) {
+            return 'mutedUntil cannot be set when unmuting';
+        }
+        if (typeof mutedUntil !== 'string' || Number.isNaN(Date.parse(mutedUntil))) {
+            return 'mutedUntil must be an ISO 8601 date';
+        }
+        if (new Date(mutedUntil) <= new Date()) {
+            return 'mutedUntil must be in the future';
+        }
+    }
+    if (mentionsOnly !== undefined && typeof mentionsOnly !== 'boolean') {
+        return 'mentionsOnly must be a boolean';
+    }
+    if (mentionsOnly && chat.type !== 'group') {
+        return 'mentionsOnly is only available for groups';
+    }
+    return null;
+};
+
+/**
+ * Get a user's notification settings for a chat
+ * @param {string} userId - User ID
+ * @param {object} chat - Result of resolveChat
+ * @returns {object} Formatted settings
+ */
+const getChatNotificationSettings = async (userId, chat) => {
+    const result = await query(
+        `SELECT muted_forever, muted_until, mentions_only
+         FROM chat_notification_settings
+         WHERE user_id = $1 AND ${chatColumn(chat)} = $2`,
+        [userId, chat.id]
+    );
+
+    return formatChatNotificationSettings(result.rows[0]);
+};
+
+/**
+ * Update a user's notification settings for a chat
+ * muted: true without mutedUntil mutes until unmuted; mutedUntil alone implies muted
+ * @param {string} userId - User ID
+ * @param {object} chat - Result of resolveChat
+ * @param {object} settings - Validated { muted, mutedUntil, mentionsOnly }; omitted fields are kept
+ * @returns {object} Formatted settings
+ */
+const setChatNotificationSettings = async (userId, chat, { muted, mutedUntil, mentionsOnly }) => {
+    const column = chatColumn(chat);
+    const updatesMute = muted !== undefined || mutedUntil !== undefined;
+    const isMuted = muted !== false && (muted === true || Boolean(mutedUntil));
+
+    const result = await query(
+        `INSERT INTO chat_notification_settings (user_id, ${column}, muted_forever, muted_until, mentions_only)
+         VALUES ($1, $2, COALESCE($4::boolean, false), $5::timestamptz, COALESCE($6::boolean, false))
+         ON CONFLICT (user_id, ${column}) WHERE ${column} IS NOT NULL DO UPDATE
+         SET muted_forever = CASE WHEN $3::boolean THEN EXCLUDED.muted_forever ELSE chat_notification_settings.muted_forever END,
+             muted_until = CASE WHEN $3::boolean THEN EXCLUDED.muted_until ELSE chat_notification_settings.muted_until END,
+             mentions_only = COALESCE($6::boolean, chat_notification_settings.mentions_only),
+             updated_at = NOW()
+         RETURNING muted_forever, muted_until, mentions_only`,
+        [
+            userId,
+            chat.id,
+            updatesMute,
+            updatesMute ? isMuted && !mutedUntil : null,
+            updatesMute && isMuted && mutedUntil ? new Date(mutedUntil) : null,
+            mentionsOnly === undefined ? null : mentionsOnly
+        ]
+    );
+
+    return formatChatNotificationSettings(result.rows[0]);
+};
+
+/**
+ * Format a user's global notification preferences for response
+ */
+const formatNotificationPreferences = (user) => ({
+    showPreview: !user.push_hide_content,
+    timezone: user.timezone,
+    quietHours: user.quiet_hours_start && user.quiet_hours_end ? {
+        start: user.quiet_hours_start.substring(0, 5),
+        end: user.quiet_hours_end.substring(0, 5)
+    } : null
+});
+
+/**
+ * Validate a global notification preferences update
+ * @param {object} preferences - { showPreview, timezone, quietHours: { start, end } | null }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateNotificationPreferences = ({ showPreview, timezone, quietHours }) => {
+    if (showPreview === undefined && timezone === undefined && quietHours === undefined) {
+        return 'Nothing to update';
+    }
+    if (showPreview !== undefined && typeof showPreview !== 'boolean') {
+        return 'showPreview must be a boolean';
+    }
+    if (timezone !== undefined && (typeof timezone !== 'string' || timezone.length > 64 || !isValidTimezone(timezone))) {
+        return 'timezone must be an IANA time zone such as Europe/Berlin';
+    }
+    if (quietHours !== undefined && quietHours !== null) {
+        if (typeof quietHours !== 'object'
+            || !TIME_OF_DAY_PATTERN.test(quietHours.start) || !TIME_OF_DAY_PATTERN.test(quietHours.end)) {
+            return 'quietHours must be { start, end } in HH:MM, or null';
+        }
+        if (quietHours.start === quietHours.end) {
+            return 'quietHours start and end must differ';
+        }
+    }
+    return null;
+};
+
+/**
+ * Get a user's global notification preferences
+ * @param {string} userId - User ID
+ * @returns {object} Formatted preferences
+ */
+const getNotificationPreferences = async (userId) => {
+    const result = await query(
+        `SELECT push_hide_content, timezone, quiet_hours_start::text, quiet_hours_end::text
+         FROM users WHERE id = $1`,
+        [userId]
+    );
+
+    return formatNotificationPreferences(result.rows[0]);
+};
+
+/**
+ * Update a user's global notification preferences
+ * @param {string} userId - User ID
+ * @param {object} preferences - Validated { showPreview, timezone, quietHours }; omitted fields are kept
+ * @returns {object} Formatted preferences
+ */
+const setNotificationPreferences = async (userId, { showPreview, timezone, quietHours }) => {
+    const result = await query(
+        `UPDATE users
+         SET push_hide_content = COALESCE($2::boolean, push_hide_content),
+             timezone = COALESCE($3, timezone),
+             quiet_hours_start = CASE WHEN $4::boolean THEN $5::time ELSE quiet_hours_start END,
+             quiet_hours_end = CASE WHEN $4::boolean THEN $6::time ELSE quiet_hours_end END
+         WHERE id = $1
+         RETURNING push_hide_content, timezone, quiet_hours_start::text, quiet_hours_end::text`,
+        [
+            userId,
+            showPreview === undefined ? null : !showPreview,
+            timezone === undefined ? null : timezone,
+            quietHours !== undefined,
+            quietHours ? quietHours.start : null,
+            quietHours ? quietHours.end : null
+        ]
+    );
+
+    return formatNotificationPreferences(result.rows[0]);
+};
+
+/**
+ * Get the push settings of a new message's recipients
+ * @param {string[]} recipientIds - Recipient user IDs
+ * @param {object} message - Formatted message (senderId, conversationId)
+ * @returns {Array} Rows of { id, username, push_hide_content, is_muted, mentions_only, in_quiet_hours }
+ */
+const getPushSettings = async (recipientIds, message) => {
+    const chatMatch = message.conversationId
+        ? 's.conversation_id = $2'
+        : 's.partner_id = $2';
+
+    const result = await query(
+        `SELECT
+            u.id,
+            u.username,
+            u.push_hide_content,
+            COALESCE(s.muted_forever OR s.muted_until > NOW(), false) as is_muted,
+            COALESCE(s.mentions_only, false) as mentions_only,
+            COALESCE(
+                CASE WHEN u.quiet_hours_start <= u.quiet_hours_end
+                    THEN local.time >= u.quiet_hours_start AND local.time < u.quiet_hours_end
+                    ELSE local.time >= u.quiet_hours_start OR local.time < u.quiet_hours_end
+                END,
+                false
+            ) as in_quiet_hours
+         FROM users u
+         CROSS JOIN LATERAL (SELECT (NOW() AT TIME ZONE u.timezone)::time as time) local
+         LEFT JOIN chat_notification_settings s ON s.user_id = u.id AND ${chatMatch}
+         WHERE u.id = ANY($1)`,
+        [recipientIds, message.conversationId || message.senderId]
+    );
+
+    return result.rows;
+};
+
+module.exports = {
+    isValidTimezone,
+    formatChatNotificationSettings,
+    validateChatNotificationSettings,
+    getChatNotificationSettings,
+    setChatNotificationSettings,
+    validateNotificationPreferences,
+    getNotificationPreferences,
+    setNotificationPreferences,
+    getPushSettings
+};
@@ -0,0 +1,80 @@
+/**
+ * Password Reset Service
+ * Emailed single-use reset tokens; only their hashes are stored
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/db');
+const { hashToken } = require('./sessionService');
+const mailer = require('./mail');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+/**
+ * Build the link a reset email points to
+ * @param {string} token - Reset token
+ */
+const buildResetUrl = (token) => {
+    const appUrl = (process.env.APP_URL || 'http://localhost:5173').replace(/\/$/, '');
+    return `${appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Issue a reset token for a user and email it to them
+ * Earlier unused tokens of the user stop working
+ * @param {object} user - User row (id, username, email)
+ * @param {string|null} requestedIp - IP address the reset was requested from
+ */
+const sendPasswordReset = async (user, requestedIp) => {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await query(
+        'DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL',
+        [user.id]
+    );
+
+    await query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, requested_ip, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+        [user.id, hashToken(token), requestedIp, RESET_TOKEN_TTL_MINUTES]
+    );
+
+    const resetUrl = buildResetUrl(token);
+
+    await mailer.send({
+        to: user.email,
+        subject: 'Reset your Toki password',
+        text: `Hi ${user.username},\n\n`
+            + `Someone asked to reset the password of your Toki account. `
+            + `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:\n\n`
+            + `${resetUrl}\n\n`
+            + `If this wasn't you, ignore this email - your password stays the same.`,
+        html: `<p>Hi ${user.username},</p>`
+            + `<p>Someone asked to reset the password of your Toki account. `
+            + `Open this link within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new one:</p>`
+            + `<p><a href="${resetUrl}">Reset password</a></p>`
+            + `<p>If this wasn't you, ignore this email - your password stays the same.</p>`
+    });
+};
+
+/**
+ * Use up a reset token
+ * @param {string} token - Reset token from the email
+ * @returns {string|null} User ID, or null if the token is unknown, used or expired
+ */
+const consumeResetToken = async (token) => {
+    const result = await query(
+        `UPDATE password_reset_tokens
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+        [hashToken(token)]
+    );
+
+    return result.rows[0]?.user_id || null;
+};
+
+module.exports = {
+    sendPasswordReset,
+    consumeResetToken
+};
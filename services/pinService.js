@@ -0,0 +1,257 @@
+/**
+ * Pin Service
+ * Pinned messages (shared by everyone in the chat) and starred messages (private to a user)
+ */
+
+const { query } = require('../config/db');
+const { chatCondition } = require('./conversationService');
+const { attachReplyPreviews } = require('./replyService');
+const { attachAttachments } = require('./attachmentService');
+const { attachReactions } = require('./reactionService');
+const { notHiddenCondition } = require('./hiddenMessageService');
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 100;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/;
+
+const MESSAGE_COLUMNS = `m.id, m.sender_id, m.receiver_id, m.conversation_id, m.content, m.message_type,
+                         m.reply_to_id, m.created_at, m.delivered_at, m.is_read, m.read_at,
+                         m.is_edited, m.edited_at, u.username as sender_username`;
+
+/**
+ * Encode a list position (pin or star time, message ID) as an opaque cursor
+ * Uses PostgreSQL's text timestamp to keep microsecond precision
+ */
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.cursor_at, row.id])).toString('base64url');
+
+/**
+ * Decode an opaque cursor
+ * @returns {object|null} { at, id }, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const [at, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (!TIMESTAMP_PATTERN.test(at) || !UUID_PATTERN.test(id)) {
+            return null;
+        }
+        return { at, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Format a message row the same way as the message history
+ */
+const formatMessage = (row) => ({
+    id: row.id,
+    senderId: row.sender_id,
+    receiverId: row.receiver_id,
+    conversationId: row.conversation_id,
+    content: row.content,
+    messageType: row.message_type,
+    replyToId: row.reply_to_id,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    isRead: row.is_read,
+    readAt: row.read_at,
+    isEdited: Boolean(row.is_edited),
+    editedAt: row.edited_at,
+    senderUsername: row.sender_username
+});
+
+/**
+ * Run a list query one row past the page size and build the page
+ * @param {string} text - Query; its last parameter is the row limit
+ * @param {Array} params - Query parameters without the limit
+ * @param {number} pageSize - Page size
+ * @param {Function} format - Formats a row into a message payload
+ * @returns {object} { messages, nextCursor, hasMore }
+ */
+const fetchPage = async (text, params, pageSize, format) => {
+    const result = await query(text, [...params, pageSize + 1]);
+
+    const hasMore = result.rows.length > pageSize;
+    const rows = result.rows.slice(0, pageSize);
+
+    return {
+        messages: await attachReactions(await attachAttachments(await attachReplyPreviews(rows.map(format)))),
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null,
+        hasMore
+    };
+};
+
+/**
+ * Page size from a client-supplied limit
+ */
+const getPageSize = (limit) => Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT);
+
+/**
+ * Pin a message in its chat
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User pinning the message
+ * @returns {object|null} { pinnedAt }, or null if the message was already pinned
+ */
+const pinMessage = async (messageId, userId) => {
+    const result = await query(
+        `INSERT INTO pinned_messages (message_id, pinned_by)
+         VALUES ($1, $2)
+         ON CONFLICT (message_id) DO NOTHING
+         RETURNING pinned_at`,
+        [messageId, userId]
+    );
+
+    return result.rows.length > 0 ? { pinnedAt: result.rows[0].pinned_at } : null;
+};
+
+/**
+ * Unpin a message
+ * @returns {boolean} True if the message was pinned
+ */
+const unpinMessage = async (messageId) => {
+    const result = await query(
+        'DELETE FROM pinned_messages WHERE message_id = $1 RETURNING message_id',
+        [messageId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Star a message for a user
+ * @returns {boolean} True if the star was new
+ */
+const starMessage = async (messageId, userId) => {
+    const result = await query(
+        `INSERT INTO starred_messages (user_id, message_id)
+         VALUES ($1, $2)
+         ON CONFLICT (user_id, message_id) DO NOTHING
+         RETURNING message_id`,
+        [userId, messageId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Remove a user's star from a message
+ * @returns {boolean} True if the message was starred
+ */
+const unstarMessage = async (messageId, userId) => {
+    const result = await query(
+        'DELETE FROM starred_messages WHERE user_id = $1 AND message_id = $2 RETURNING message_id',
+        [userId, messageId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Forget the pin and stars of a message deleted for everyone
+ * @param {string} messageId - Message ID
+ */
+const removeMessagePinAndStars = async (messageId) => {
+    await query('DELETE FROM pinned_messages WHERE message_id = $1', [messageId]);
+    await query('DELETE FROM starred_messages WHERE message_id = $1', [messageId]);
+};
+
+/**
+ * Get the pinned messages of a chat, most recently pinned first
+ * Messages the user has hidden are left out
+ * @param {string} userId - Requesting user ID
+ * @param {object} chat - Result of resolveChat
+ * @param {object} params - { cursor, limit }
+ * @returns {object|null} { messages, nextCursor, hasMore }, or null if the cursor is invalid
+ */
+const getPinnedMessages = async (userId, chat, { cursor, limit }) => {
+    const params = [userId, chat.id];
+    let cursorCondition = '';
+
+    if (cursor !== undefined) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+            return null;
+        }
+        params.push(position.at, position.id);
+        cursorCondition = 'AND (p.pinned_at, p.message_id) < ($3::timestamptz, $4::uuid)';
+    }
+
+    return fetchPage(
+        `SELECT ${MESSAGE_COLUMNS},
+                p.pinned_at, p.pinned_at::text as cursor_at, p.pinned_by, pu.username as pinned_by_username
+         FROM pinned_messages p
+         JOIN messages m ON m.id = p.message_id
+         JOIN users u ON u.id = m.sender_id
+         LEFT JOIN users pu ON pu.id = p.pinned_by
+         WHERE ${chatCondition(chat)}
+           AND m.is_deleted = false
+           AND ${notHiddenCondition('$1')}
+           ${cursorCondition}
+         ORDER BY p.pinned_at DESC, p.message_id DESC
+         LIMIT $${params.length + 1}`,
+        params,
+        getPageSize(limit),
+        row => ({
+            ...formatMessage(row),
+            pinnedAt: row.pinned_at,
+            pinnedBy: row.pinned_by ? { id: row.pinned_by, username: row.pinned_by_username } : null
+        })
+    );
+};
+
+/**
+ * Get a user's starred messages across all chats they are still in, most recently starred first
+ * @param {string} userId - User ID
+ * @param {object} params - { cursor, limit }
+ * @returns {object|null} { messages, nextCursor, hasMore }, or null if the cursor is invalid
+ */
+const getStarredMessages = async (userId, { cursor, limit }) => {
+    const params = [userId];
+    let cursorCondition = '';
+
+    if (cursor !== undefined) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+            return null;
+        }
+        params.push(position.at, position.id);
+        cursorCondition = 'AND (s.starred_at, s.message_id) < ($2::timestamptz, $3::uuid)';
+    }
+
+    return fetchPage(
+        `SELECT ${MESSAGE_COLUMNS}, s.starred_at, s.starred_at::text as cursor_at
+         FROM starred_messages s
+         JOIN messages m ON m.id = s.message_id
+         JOIN users u ON u.id = m.sender_id
+         WHERE s.user_id = $1
+           AND m.is_deleted = false
+           AND ${notHiddenCondition('$1')}
+           AND (
+               (m.conversation_id IS NULL AND (m.sender_id = $1 OR m.receiver_id = $1))
+               OR m.conversation_id IN (
+                   SELECT conversation_id FROM conversation_members WHERE user_id = $1
+               )
+           )
+           ${cursorCondition}
+         ORDER BY s.starred_at DESC, s.message_id DESC
+         LIMIT $${params.length + 1}`,
+        params,
+        getPageSize(limit),
+        row => ({
+            ...formatMessage(row),
+            starredAt: row.starred_at
+        })
+    );
+};
+
+module.exports = {
+    pinMessage,
+    unpinMessage,
+    starMessage,
+    unstarMessage,
+    removeMessagePinAndStars,
+    getPinnedMessages,
+    getStarredMessages
+};
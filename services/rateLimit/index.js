@@ -0,0 +1,40 @@
+/**
+ * Rate Limiting
+ * Token buckets per budget and client, kept in the store selected by RATE_LIMIT_STORE:
+ *   memory   - this process only (default)
+ *   postgres - shared by all instances
+ * A store exposes take(key, capacity, refillPerSecond) -> { allowed, remaining, retryAfter }.
+ */
+
+const { enabled, budgets } = require('../../config/rateLimits');
+
+const stores = {
+    memory: () => require('./memoryStore'),
+    postgres: () => require('./postgresStore')
+};
+
+const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+
+if (!stores[storeName]) {
+    throw new Error(`Unknown RATE_LIMIT_STORE: ${storeName}`);
+}
+
+const store = stores[storeName]();
+
+/**
+ * Spend one request of a client's budget
+ * @param {string} budgetName - Budget from config/rateLimits
+ * @param {string} clientKey - Client identity, e.g. user:<id> or ip:<address>
+ * @returns {object} { allowed, remaining, retryAfter } (retryAfter in seconds)
+ */
+const consume = async (budgetName, clientKey) => {
+    const budget = budgets[budgetName];
+
+    if (!enabled || !budget) {
+        return { allowed: true, remaining: Infinity, retryAfter: 0 };
+    }
+
+    return store.take(`${budgetName}:${clientKey}`, budget.points, budget.points / budget.duration);
+};
+
+module.exports = { consume };
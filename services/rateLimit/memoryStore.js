@@ -0,0 +1,55 @@
+/**
+ * In-Memory Rate Limit Store
+ * Buckets live in this process only; use the postgres store when running several instances
+ */
+
+// key -> { tokens, updatedAt, fullAt }
+const buckets = new Map();
+
+// Forget buckets that have refilled completely (they behave like new ones)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+        if (bucket.fullAt <= now) {
+            buckets.delete(key);
+        }
+    }
+}, SWEEP_INTERVAL_MS);
+sweep.unref();
+
+/**
+ * Take one token from a bucket
+ * @param {string} key - Bucket key
+ * @param {number} capacity - Bucket size
+ * @param {number} refillPerSecond - Tokens added per second
+ * @returns {object} { allowed, remaining, retryAfter } (retryAfter in seconds)
+ */
+const take = async (key, capacity, refillPerSecond) => {
+    const now = Date.now();
+    const bucket = buckets.get(key);
+
+    let tokens = bucket
+        ? Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond)
+        : capacity;
+
+    const allowed = tokens >= 1;
+    if (allowed) {
+        tokens -= 1;
+    }
+
+    buckets.set(key, {
+        tokens,
+        updatedAt: now,
+        fullAt: now + ((capacity - tokens) / refillPerSecond) * 1000
+    });
+
+    return {
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond)
+    };
+};
+
+module.exports = { take };
@@ -0,0 +1,54 @@
+/**
+ * PostgreSQL Rate Limit Store
+ * Buckets are shared by every server instance
+ */
+
+const { query } = require('../../config/db');
+
+// Delete buckets that have refilled completely (they behave like new ones)
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Bucket level after refilling since the last take
+const REFILLED = `LEAST(b.capacity, b.tokens + EXTRACT(EPOCH FROM (NOW() - b.updated_at)) * $3)`;
+
+const sweep = setInterval(() => {
+    query(
+        `DELETE FROM rate_limit_buckets
+         WHERE updated_at + make_interval(secs => (capacity - tokens) / refill_per_second) < NOW()`
+    ).catch(error => {
+        console.error('Error sweeping rate limit buckets:', error);
+    });
+}, SWEEP_INTERVAL_MS);
+sweep.unref();
+
+/**
+ * Take one token from a bucket (atomically, in a single statement)
+ * @param {string} key - Bucket key
+ * @param {number} capacity - Bucket size
+ * @param {number} refillPerSecond - Tokens added per second
+ * @returns {object} { allowed, remaining, retryAfter } (retryAfter in seconds)
+ */
+const take = async (key, capacity, refillPerSecond) => {
+    const result = await query(
+        `INSERT INTO rate_limit_buckets AS b (key, tokens, capacity, refill_per_second, allowed, updated_at)
+         VALUES ($1, $2::float8 - 1, $2, $3, true, NOW())
+         ON CONFLICT (key) DO UPDATE
+         SET allowed = ${REFILLED} >= 1,
+             tokens = CASE WHEN ${REFILLED} >= 1 THEN ${REFILLED} - 1 ELSE ${REFILLED} END,
+             capacity = EXCLUDED.capacity,
+             refill_per_second = EXCLUDED.refill_per_second,
+             updated_at = NOW()
+         RETURNING tokens, allowed`,
+        [key, capacity, refillPerSecond]
+    );
+
+    const { tokens, allowed } = result.rows[0];
+
+    return {
+        allowed,
+        remaining: Math.floor(tokens),
+        retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / refillPerSecond)
+    };
+};
+
+module.exports = { take };
@@ -0,0 +1,159 @@
+/**
+ * Reaction Service
+ * Emoji reactions on direct and group messages
+ */
+
+const { query } = require('../config/db');
+
+const MAX_EMOJI_LENGTH = 32;
+// Emoji sequences (ZWJ, skin tones, flags, keycaps) containing at least one pictograph
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Component}|\u200d|\ufe0f|\u20e3)+$/u;
+const PICTOGRAPH_PATTERN = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+
+/**
+ * Validate an emoji, returning an error message or null
+ * @param {string} emoji - Emoji to validate
+ */
+const validateEmoji = (emoji) => {
+    if (!emoji || typeof emoji !== 'string' || emoji.length > MAX_EMOJI_LENGTH ||
+        !EMOJI_PATTERN.test(emoji) || !PICTOGRAPH_PATTERN.test(emoji)) {
+        return 'A valid emoji is required';
+    }
+    return null;
+};
+
+/**
+ * Get a message the user may react to (participant of the direct chat or group member)
+ * @param {string} messageId - Message ID
+ * @param {string} userId - User ID
+ * @returns {object|null} Message row, or null if not found or not visible to the user
+ */
+const getReactableMessage = async (messageId, userId) => {
+    const result = await query(
+        `SELECT m.id, m.sender_id, m.receiver_id, m.conversation_id, m.is_deleted
+         FROM messages m
+         WHERE m.id = $1
+           AND (
+               m.sender_id = $2 OR m.receiver_id = $2
+               OR EXISTS (
+                   SELECT 1 FROM conversation_members cm
+                   WHERE cm.conversation_id = m.conversation_id AND cm.user_id = $2
+               )
+           )`,
+        [messageId, userId]
+    );
+
+    return result.rows[0] || null;
+};
+
+/**
+ * Get aggregated reactions for a set of messages
+ * @param {string[]} messageIds - Message IDs
+ * @returns {Map<string, Array>} messageId -> [{ emoji, count, users: [{ id, username }] }]
+ */
+const getReactionsForMessages = async (messageIds) => {
+    const reactionsByMessage = new Map();
+    if (messageIds.length === 0) {
+        return reactionsByMessage;
+    }
+
+    const result = await query(
+        `SELECT r.message_id, r.emoji, u.id as user_id, u.username
+         FROM message_reactions r
+         JOIN users u ON u.id = r.user_id
+         WHERE r.message_id = ANY($1)
+         ORDER BY r.created_at ASC`,
+        [messageIds]
+    );
+
+    result.rows.forEach(row => {
+        const reactions = reactionsByMessage.get(row.message_id) || [];
+        let reaction = reactions.find(item => item.emoji === row.emoji);
+
+        if (!reaction) {
+            reaction = { emoji: row.emoji, count: 0, users: [] };
+            reactions.push(reaction);
+        }
+
+        reaction.count += 1;
+        reaction.users.push({ id: row.user_id, username: row.username });
+        reactionsByMessage.set(row.message_id, reactions);
+    });
+
+    return reactionsByMessage;
+};
+
+/**
+ * Attach aggregated reactions to formatted message payloads
+ * @param {Array} messages - Formatted messages (with id)
+ * @returns {Array} The same messages with a reactions array
+ */
+const attachReactions = async (messages) => {
+    const reactionsByMessage = await getReactionsForMessages(messages.map(message => message.id));
+
+    return messages.map(message => ({
+        ...message,
+        reactions: reactionsByMessage.get(message.id) || []
+    }));
+};
+
+/**
+ * Add a reaction
+ * @returns {boolean} True if the reaction was new
+ */
+const addReaction = async (messageId, userId, emoji) => {
+    const result = await query(
+        `INSERT INTO message_reactions (message_id, user_id, emoji)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (message_id, user_id, emoji) DO NOTHING
+         RETURNING message_id`,
+        [messageId, userId, emoji]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Remove a reaction
+ * @returns {boolean} True if a reaction was removed
+ */
+const removeReaction = async (messageId, userId, emoji) => {
+    const result = await query(
+        `DELETE FROM message_reactions
+         WHERE message_id = $1 AND user_id = $2 AND emoji = $3
+         RETURNING message_id`,
+        [messageId, userId, emoji]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Build the reaction_updated payload for a message
+ * @param {object} message - Message row
+ * @param {string} userId - User who reacted
+ * @param {string} emoji - Emoji
+ * @param {string} action - 'added' or 'removed'
+ */
+const buildReactionUpdate = async (message, userId, emoji, action) => {
+    const reactionsByMessage = await getReactionsForMessages([message.id]);
+
+    return {
+        messageId: message.id,
+        conversationId: message.conversation_id,
+        userId,
+        emoji,
+        action,
+        reactions: reactionsByMessage.get(message.id) || []
+    };
+};
+
+module.exports = {
+    validateEmoji,
+    getReactableMessage,
+    getReactionsForMessages,
+    attachReactions,
+    addReaction,
+    removeReaction,
+    buildReactionUpdate
+};
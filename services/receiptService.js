@@ -0,0 +1,57 @@
+/**
+ * Receipt Service
+ * Delivered receipts for direct messages
+ */
+
+const { query } = require('../config/db');
+
+/**
+ * Mark messages received by a user as delivered
+ * @param {string} userId - Recipient user ID
+ * @param {object} filter - { messageIds } for specific messages or { senderId } for all from a partner
+ * @returns {object} { deliveredAt, bySender: Map<senderId, messageId[]> } of newly delivered messages
+ */
+const markMessagesDelivered = async (userId, { messageIds, senderId }) => {
+    const deliveredAt = new Date();
+
+    const result = await query(
+        `UPDATE messages
+         SET delivered_at = $1
+         WHERE receiver_id = $2
+           AND delivered_at IS NULL
+           AND ($3::uuid[] IS NULL OR id = ANY($3))
+           AND ($4::uuid IS NULL OR sender_id = $4)
+         RETURNING id, sender_id`,
+        [deliveredAt, userId, messageIds || null, senderId || null]
+    );
+
+    const bySender = new Map();
+    result.rows.forEach(row => {
+        const ids = bySender.get(row.sender_id) || [];
+        ids.push(row.id);
+        bySender.set(row.sender_id, ids);
+    });
+
+    return { deliveredAt, bySender };
+};
+
+/**
+ * Build messages_delivered payloads for each sender
+ * @param {string} userId - Recipient user ID
+ * @param {object} delivery - Result of markMessagesDelivered
+ * @returns {Array} [{ senderId, payload }]
+ */
+const buildDeliveredEvents = (userId, { deliveredAt, bySender }) =>
+    [...bySender.entries()].map(([senderId, messageIds]) => ({
+        senderId,
+        payload: {
+            messageIds,
+            deliveredAt: deliveredAt.toISOString(),
+            deliveredTo: userId
+        }
+    }));
+
+module.exports = {
+    markMessagesDelivered,
+    buildDeliveredEvents
+};
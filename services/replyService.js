@@ -0,0 +1,78 @@
+/**
+ * Reply Service
+ * Reply-to validation and quoted previews for message payloads
+ */
+
+const { query } = require('../config/db');
+
+const SNIPPET_LENGTH = 100;
+const DELETED_PLACEHOLDER = '[Message deleted]';
+
+/**
+ * Check that a reply target belongs to the same conversation as the new message
+ * @param {string} replyToId - Message being replied to
+ * @param {object} target - { senderId, receiverId } for direct or { conversationId } for group messages
+ * @returns {boolean}
+ */
+const isValidReplyTarget = async (replyToId, { senderId, receiverId, conversationId }) => {
+    const result = conversationId
+        ? await query(
+            'SELECT 1 FROM messages WHERE id = $1 AND conversation_id = $2',
+            [replyToId, conversationId]
+        )
+        : await query(
+            `SELECT 1 FROM messages
+             WHERE id = $1
+               AND ((sender_id = $2 AND receiver_id = $3) OR (sender_id = $3 AND receiver_id = $2))`,
+            [replyToId, senderId, receiverId]
+        );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Format a quoted message preview
+ */
+const formatReplyPreview = (row) => {
+    const content = row.is_deleted ? DELETED_PLACEHOLDER : row.content;
+
+    return {
+        id: row.id,
+        senderId: row.sender_id,
+        senderUsername: row.sender_username,
+        snippet: content.length > SNIPPET_LENGTH ? `${content.substring(0, SNIPPET_LENGTH)}…` : content,
+        isDeleted: row.is_deleted
+    };
+};
+
+/**
+ * Attach quoted previews to formatted message payloads
+ * @param {Array} messages - Formatted messages (with replyToId)
+ * @returns {Array} The same messages with a replyTo preview (null when not a reply)
+ */
+const attachReplyPreviews = async (messages) => {
+    const replyToIds = [...new Set(messages.map(message => message.replyToId).filter(Boolean))];
+    const previews = new Map();
+
+    if (replyToIds.length > 0) {
+        const result = await query(
+            `SELECT m.id, m.sender_id, m.content, m.is_deleted, u.username as sender_username
+             FROM messages m
+             JOIN users u ON u.id = m.sender_id
+             WHERE m.id = ANY($1)`,
+            [replyToIds]
+        );
+
+        result.rows.forEach(row => previews.set(row.id, formatReplyPreview(row)));
+    }
+
+    return messages.map(message => ({
+        ...message,
+        replyTo: message.replyToId ? previews.get(message.replyToId) || null : null
+    }));
+};
+
+module.exports = {
+    isValidReplyTarget,
+    attachReplyPreviews
+};
@@ -0,0 +1,177 @@
+/**
+ * Revision Service
+ * Message edits with full history and an edit window
+ */
+
+const { query, getClient } = require('../config/db');
+
+const MAX_CONTENT_LENGTH = 5000;
+
+// Minutes after sending during which a message may be edited (0 = no limit, unset or invalid = 48 hours)
+const configuredEditWindow = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES, 10);
+const EDIT_WINDOW_MINUTES = Number.isNaN(configuredEditWindow) ? 2880 : configuredEditWindow;
+
+/**
+ * Validate the new content of an edited message
+ * @param {*} content - Value supplied by the client
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateEditContent = (content) => {
+    if (typeof content !== 'string' || content.trim().length === 0) {
+        return 'Message content is required';
+    }
+    if (content.trim().length > MAX_CONTENT_LENGTH) {
+        return `Message too long (max ${MAX_CONTENT_LENGTH} characters)`;
+    }
+    return null;
+};
+
+/**
+ * Edit a message, keeping the replaced version as a revision
+ * @param {string} userId - Editing user ID (must be the sender)
+ * @param {string} messageId - Message ID
+ * @param {string} content - Validated new content (trimmed here)
+ * @returns {object} { status: 'ok', message } with the updated message row
+ *                   | { status: 'not_found' | 'forbidden' | 'deleted' | 'expired' }
+ */
+const reviseMessage = async (userId, messageId, content) => {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        // Lock the message so concurrent edits get consecutive revision numbers
+        const current = await client.query(
+            `SELECT id, sender_id, content, is_deleted, created_at, edited_at,
+                    ($2::int > 0 AND created_at < NOW() - make_interval(mins => $2::int)) as is_expired
+             FROM messages WHERE id = $1
+             FOR UPDATE`,
+            [messageId, EDIT_WINDOW_MINUTES]
+        );
+
+        const message = current.rows[0];
+        let status = null;
+
+        if (!message) {
+            status = 'not_found';
+        } else if (message.sender_id !== userId) {
+            status = 'forbidden';
+        } else if (message.is_deleted) {
+            status = 'deleted';
+        } else if (message.is_expired) {
+            status = 'expired';
+        }
+
+        if (status) {
+            await client.query('ROLLBACK');
+            return { status };
+        }
+
+        const newContent = content.trim();
+
+        if (newContent !== message.content) {
+            await client.query(
+                `INSERT INTO message_revisions (message_id, revision, content, written_at)
+                 SELECT $1, COALESCE(MAX(revision), 0) + 1, $2, $3
+                 FROM message_revisions WHERE message_id = $1`,
+                [messageId, message.content, message.edited_at || message.created_at]
+            );
+        }
+
+        // original_content is kept for clients that read it directly
+        const result = await client.query(
+            `UPDATE messages
+             SET content = $1,
+                 is_edited = is_edited OR $1 <> content,
+                 edited_at = CASE WHEN $1 <> content THEN NOW() ELSE edited_at END,
+                 original_content = COALESCE(original_content, CASE WHEN $1 <> content THEN content END)
+             WHERE id = $2
+             RETURNING id, sender_id, receiver_id, conversation_id, content, message_type, reply_to_id,
+                       created_at, delivered_at, is_read, read_at, is_edited, edited_at`,
+            [newContent, messageId]
+        );
+
+        await client.query('COMMIT');
+
+        return { status: 'ok', message: result.rows[0] };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Format a message revision for response
+ */
+const formatRevisionResponse = (row) => ({
+    revision: row.revision,
+    content: row.content,
+    writtenAt: row.written_at,
+    replacedAt: row.replaced_at
+});
+
+/**
+ * Get a message's edit history
+ * Visible to both direct chat participants and to all members of the group
+ * @param {string} messageId - Message ID
+ * @param {string} userId - Requesting user ID
+ * @returns {object|null} { messageId, content, isEdited, editedAt, createdAt, revisions },
+ *                        or null if not found, not visible or deleted
+ */
+const getMessageHistory = async (messageId, userId) => {
+    const messageResult = await query(
+        `SELECT m.id, m.content, m.is_edited, m.edited_at, m.created_at
+         FROM messages m
+         WHERE m.id = $1
+           AND m.is_deleted IS NOT TRUE
+           AND (
+               m.sender_id = $2 OR m.receiver_id = $2
+               OR EXISTS (
+                   SELECT 1 FROM conversation_members cm
+                   WHERE cm.conversation_id = m.conversation_id AND cm.user_id = $2
+               )
+           )`,
+        [messageId, userId]
+    );
+
+    if (messageResult.rows.length === 0) {
+        return null;
+    }
+
+    const message = messageResult.rows[0];
+
+    const revisions = await query(
+        `SELECT revision, content, written_at, replaced_at
+         FROM message_revisions
+         WHERE message_id = $1
+         ORDER BY revision ASC`,
+        [messageId]
+    );
+
+    return {
+        messageId: message.id,
+        content: message.content,
+        isEdited: Boolean(message.is_edited),
+        editedAt: message.edited_at,
+        createdAt: message.created_at,
+        revisions: revisions.rows.map(formatRevisionResponse)
+    };
+};
+
+/**
+ * Forget the edit history of a deleted message
+ * @param {string} messageId - Message ID
+ */
+const removeMessageRevisions = async (messageId) => {
+    await query('DELETE FROM message_revisions WHERE message_id = $1', [messageId]);
+};
+
+module.exports = {
+    EDIT_WINDOW_MINUTES,
+    validateEditContent,
+    reviseMessage,
+    getMessageHistory,
+    removeMessageRevisions
+};
@@ -0,0 +1,193 @@
+/**
+ * Search Service
+ * Full-text search across the messages visible to a user
+ */
+
+const { query } = require('../config/db');
+const { notHiddenCondition } = require('./hiddenMessageService');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+// Highlight markers; replaced with <mark> tags after the snippet is HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxWords=24, MinWords=8`;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?[+-]\d{2}(:\d{2})?$/;
+
+/**
+ * Encode a result position as an opaque cursor
+ * Uses PostgreSQL's text timestamp to keep microsecond precision
+ */
+const encodeCursor = (row) => Buffer.from(JSON.stringify([row.cursor_at, row.id])).toString('base64url');
+
+/**
+ * Decode an opaque cursor
+ * @returns {object|null} { createdAt, id }, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        if (!TIMESTAMP_PATTERN.test(createdAt) || !UUID_PATTERN.test(id)) {
+            return null;
+        }
+        return { createdAt, id };
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Escape a headline and turn its markers into <mark> tags
+ */
+const formatSnippet = (headline) => headline
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(new RegExp(HIGHLIGHT_START, 'g'), '<mark>')
+    .replace(new RegExp(HIGHLIGHT_STOP, 'g'), '</mark>');
+
+/**
+ * Validate search input
+ * @param {object} params - { q, partnerId, from, to }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateSearchParams = ({ q, partnerId, from, to }) => {
+    if (!q || typeof q !== 'string' || q.trim().length === 0) {
+        return 'Search query is required';
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+        return `Search query too long (max ${MAX_QUERY_LENGTH} characters)`;
+    }
+    if (partnerId !== undefined && !UUID_PATTERN.test(partnerId)) {
+        return 'Invalid partner ID';
+    }
+    if ((from !== undefined && Number.isNaN(Date.parse(from))) || (to !== undefined && Number.isNaN(Date.parse(to)))) {
+        return 'from and to must be ISO 8601 dates';
+    }
+    return null;
+};
+
+/**
+ * Format search result for response
+ */
+const formatResultResponse = (row, userId) => ({
+    message: {
+        id: row.id,
+        senderId: row.sender_id,
+        receiverId: row.receiver_id,
+        conversationId: row.conversation_id,
+        content: row.content,
+        messageType: row.message_type,
+        createdAt: row.created_at,
+        senderUsername: row.sender_username
+    },
+    snippet: formatSnippet(row.headline),
+    partner: row.conversation_id ? null : {
+        id: row.partner_id,
+        username: row.partner_username,
+        avatarUrl: row.partner_avatar_url,
+        isOnline: row.partner_is_online
+    },
+    conversation: row.conversation_id ? {
+        id: row.conversation_id,
+        name: row.conversation_name
+    } : null,
+    isFromMe: row.sender_id === userId
+});
+
+/**
+ * Search the user's direct and group messages, newest first
+ * Deleted messages are never returned
+ * @param {string} userId - User ID
+ * @param {object} params - { q, partnerId, from, to, cursor, limit }; partnerId may be a user or group ID
+ * @returns {object|null} { results, nextCursor, hasMore }, or null if the cursor is invalid
+ */
+const searchMessages = async (userId, { q, partnerId, from, to, cursor, limit = DEFAULT_SEARCH_LIMIT }) => {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+    const params = [userId, q.trim(), HEADLINE_OPTIONS];
+    const conditions = [];
+
+    if (cursor !== undefined) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+            return null;
+        }
+        params.push(position.createdAt, position.id);
+        conditions.push(`(m.created_at, m.id) < ($${params.length - 1}::timestamptz, $${params.length}::uuid)`);
+    }
+
+    if (partnerId !== undefined) {
+        params.push(partnerId);
+        conditions.push(`(m.conversation_id = $${params.length}
+            OR (m.conversation_id IS NULL AND (m.sender_id = $${params.length} OR m.receiver_id = $${params.length})))`);
+    }
+
+    if (from !== undefined) {
+        params.push(new Date(from));
+        conditions.push(`m.created_at >= $${params.length}`);
+    }
+
+    if (to !== undefined) {
+        params.push(new Date(to));
+        conditions.push(`m.created_at <= $${params.length}`);
+    }
+
+    params.push(pageSize + 1);
+
+    const result = await query(
+        `SELECT
+            m.id,
+            m.sender_id,
+            m.receiver_id,
+            m.conversation_id,
+            m.content,
+            m.message_type,
+            m.created_at,
+            m.created_at::text as cursor_at,
+            ts_headline('simple', m.content, tsq, $3) as headline,
+            s.username as sender_username,
+            p.id as partner_id,
+            p.username as partner_username,
+            p.avatar_url as partner_avatar_url,
+            p.is_online as partner_is_online,
+            c.name as conversation_name
+        FROM messages m
+        CROSS JOIN websearch_to_tsquery('simple', $2) tsq
+        JOIN users s ON s.id = m.sender_id
+        LEFT JOIN users p ON m.conversation_id IS NULL
+            AND p.id = CASE WHEN m.sender_id = $1 THEN m.receiver_id ELSE m.sender_id END
+        LEFT JOIN conversations c ON c.id = m.conversation_id
+        WHERE m.search_vector @@ tsq
+          AND m.is_deleted = false
+          AND ${notHiddenCondition('$1')}
+          AND (
+              (m.conversation_id IS NULL AND (m.sender_id = $1 OR m.receiver_id = $1))
+              OR m.conversation_id IN (
+                  SELECT conversation_id FROM conversation_members WHERE user_id = $1
+              )
+          )
+          ${conditions.map(condition => `AND ${condition}`).join('\n          ')}
+        ORDER BY m.created_at DESC, m.id DESC
+        LIMIT $${params.length}`,
+        params
+    );
+
+    const hasMore = result.rows.length > pageSize;
+    const rows = result.rows.slice(0, pageSize);
+
+    return {
+        results: rows.map(row => formatResultResponse(row, userId)),
+        nextCursor: hasMore ? encodeCursor(rows[rows.length - 1]) : null,
+        hasMore
+    };
+};
+
+module.exports = {
+    validateSearchParams,
+    searchMessages
+};
@@ -0,0 +1,222 @@
+/**
+ * Session Service
+ * Device sessions with per-session rotating refresh tokens
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query } = require('../config/db');
+const { removeSessionTokens } = require('./deviceTokenService');
+
+/**
+ * Hash a refresh token for storage
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate access and refresh tokens bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ */
+const generateTokens = (userId, sessionId) => {
+    const accessToken = jwt.sign(
+        { userId, sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+
+    // jti keeps rotated tokens unique even when issued within the same second
+    const refreshToken = jwt.sign(
+        { userId, sessionId, jti: crypto.randomUUID() },
+        process.env.JWT_REFRESH_SECRET,
+        { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+    );
+
+    return { accessToken, refreshToken };
+};
+
+/**
+ * Extract device details from a request
+ * @param {Request} req - Express request
+ */
+const getRequestDevice = (req) => {
+    const deviceName = (req.body?.deviceName || req.get('X-Device-Name') || '').toString().trim();
+
+    return {
+        deviceName: deviceName.substring(0, 100) || null,
+        userAgent: req.get('User-Agent') || null,
+        ipAddress: req.ip || null
+    };
+};
+
+/**
+ * Create a new session and issue its tokens
+ * @param {string} userId - User ID
+ * @param {object} device - { deviceName, userAgent, ipAddress }
+ * @returns {object} { sessionId, accessToken, refreshToken }
+ */
+const createSession = async (userId, device) => {
+    const sessionId = crypto.randomUUID();
+    const tokens = generateTokens(userId, sessionId);
+    const { exp } = jwt.decode(tokens.refreshToken);
+
+    await query(
+        `INSERT INTO sessions (id, user_id, refresh_token_hash, device_name, user_agent, ip_address, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($7))`,
+        [
+            sessionId,
+            userId,
+            hashToken(tokens.refreshToken),
+            device.deviceName,
+            device.userAgent,
+            device.ipAddress,
+            exp
+        ]
+    );
+
+    return { sessionId, ...tokens };
+};
+
+/**
+ * Revoke a single session
+ * The device's push tokens are removed with it
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @param {string} [userId] - Restrict to sessions owned by this user
+ * @returns {boolean} True if an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+    const result = await query(
+        `UPDATE sessions
+         SET revoked_at = NOW(), revoked_reason = $2
+         WHERE id = $1 AND revoked_at IS NULL AND ($3::uuid IS NULL OR user_id = $3)
+         RETURNING id`,
+        [sessionId, reason, userId]
+    );
+
+    await removeSessionTokens(result.rows.map(row => row.id));
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {string[]} IDs of revoked sessions
+ */
+const revokeAllSessions = async (userId, reason) => {
+    const result = await query(
+        `UPDATE sessions
+         SET revoked_at = NOW(), revoked_reason = $2
+         WHERE user_id = $1 AND revoked_at IS NULL
+         RETURNING id`,
+        [userId, reason]
+    );
+
+    const sessionIds = result.rows.map(row => row.id);
+    await removeSessionTokens(sessionIds);
+
+    return sessionIds;
+};
+
+/**
+ * Rotate a session's refresh token
+ * Presenting a refresh token that is no longer current revokes the whole session
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {object} { status: 'ok', userId, sessionId, accessToken, refreshToken }
+ *                   | { status: 'reuse', userId, sessionId } | { status: 'invalid' }
+ * @throws {JsonWebTokenError|TokenExpiredError} If the token fails verification
+ */
+const rotateSession = async (refreshToken) => {
+    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+
+    if (!decoded.sessionId) {
+        return { status: 'invalid' };
+    }
+
+    const result = await query(
+        `SELECT id, user_id, refresh_token_hash
+         FROM sessions
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [decoded.sessionId, decoded.userId]
+    );
+
+    if (result.rows.length === 0) {
+        return { status: 'invalid' };
+    }
+
+    const session = result.rows[0];
+    const reused = { status: 'reuse', userId: session.user_id, sessionId: session.id };
+    const presentedHash = hashToken(refreshToken);
+
+    if (session.refresh_token_hash !== presentedHash) {
+        await revokeSession(session.id, 'token_reuse');
+        return reused;
+    }
+
+    const tokens = generateTokens(session.user_id, session.id);
+    const { exp } = jwt.decode(tokens.refreshToken);
+
+    // Only rotate if the token is still current (guards concurrent refreshes)
+    const updated = await query(
+        `UPDATE sessions
+         SET refresh_token_hash = $1, last_used_at = NOW(), expires_at = to_timestamp($2)
+         WHERE id = $3 AND refresh_token_hash = $4 AND revoked_at IS NULL
+         RETURNING id`,
+        [hashToken(tokens.refreshToken), exp, session.id, presentedHash]
+    );
+
+    if (updated.rows.length === 0) {
+        await revokeSession(session.id, 'token_reuse');
+        return reused;
+    }
+
+    return { status: 'ok', userId: session.user_id, sessionId: session.id, ...tokens };
+};
+
+/**
+ * Check whether a session is active
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - Owning user ID
+ * @returns {boolean}
+ */
+const isSessionActive = async (sessionId, userId) => {
+    const result = await query(
+        `SELECT 1 FROM sessions
+         WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+        [sessionId, userId]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Array} Session rows
+ */
+const getActiveSessions = async (userId) => {
+    const result = await query(
+        `SELECT id, device_name, user_agent, ip_address, created_at, last_used_at, expires_at
+         FROM sessions
+         WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [userId]
+    );
+
+    return result.rows;
+};
+
+module.exports = {
+    hashToken,
+    getRequestDevice,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive,
+    getActiveSessions
+};
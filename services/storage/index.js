@@ -0,0 +1,20 @@
+/**
+ * Storage Backend
+ * Selected by STORAGE_DRIVER. A backend exposes:
+ *   save(key, data, contentType)  - write a Buffer
+ *   createReadStream(key)         - readable stream of the file
+ *   remove(key)                   - delete the file, ignoring missing keys
+ * An S3-compatible backend can be added alongside the local one.
+ */
+
+const drivers = {
+    local: () => require('./localStorage')
+};
+
+const driverName = process.env.STORAGE_DRIVER || 'local';
+
+if (!drivers[driverName]) {
+    throw new Error(`Unknown STORAGE_DRIVER: ${driverName}`);
+}
+
+module.exports = drivers[driverName]();
@@ -0,0 +1,54 @@
+/**
+ * Local Disk Storage
+ * Stores files under UPLOAD_DIR (defaults to ./uploads)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+/**
+ * Resolve a storage key to a path inside the upload directory
+ * @param {string} key - Storage key
+ * @returns {string}
+ */
+const resolveKey = (key) => {
+    const filePath = path.resolve(ROOT_DIR, key);
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+/**
+ * Write a file
+ * @param {string} key - Storage key
+ * @param {Buffer} data - File contents
+ */
+const save = async (key, data) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, data);
+};
+
+/**
+ * Open a file for reading
+ * @param {string} key - Storage key
+ * @returns {ReadStream}
+ */
+const createReadStream = (key) => fs.createReadStream(resolveKey(key));
+
+/**
+ * Delete a file (missing files are ignored)
+ * @param {string} key - Storage key
+ */
+const remove = async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+};
+
+module.exports = {
+    save,
+    createReadStream,
+    remove
+};
@@ -0,0 +1,44 @@
+/**
+ * Stream Service
+ * Writing large downloads to a response with backpressure
+ */
+
+const { once } = require('events');
+
+/**
+ * Error thrown when the destination closes before a download is complete
+ */
+const closedError = () => new Error('Stream closed before the download finished');
+
+/**
+ * Create a writer that waits for the stream to drain whenever its buffer is full
+ * Rejects once the stream closes (e.g. the client disconnected), because an aborted
+ * response never emits drain; the producer then stops and releases what it holds
+ * @param {Writable} out - Destination stream
+ * @returns {Function} async (chunk) => void; empty chunks are skipped
+ */
+const createStreamWriter = (out) => async (chunk) => {
+    if (out.destroyed || out.writableEnded) {
+        throw closedError();
+    }
+    if (!chunk || out.write(chunk)) {
+        return;
+    }
+
+    // Remove the listener of whichever event did not happen
+    const controller = new AbortController();
+    try {
+        await Promise.race([
+            once(out, 'drain', { signal: controller.signal }),
+            once(out, 'close', { signal: controller.signal }).then(() => {
+                throw closedError();
+            })
+        ]);
+    } finally {
+        controller.abort();
+    }
+};
+
+module.exports = {
+    createStreamWriter
+};
@@ -0,0 +1,278 @@
+/**
+ * Sync Service
+ * Serves the change log recorded in sync_events to reconnecting clients
+ */
+
+const { query } = require('../config/db');
+const { attachReplyPreviews } = require('./replyService');
+const { attachAttachments } = require('./attachmentService');
+const { notHiddenCondition } = require('./hiddenMessageService');
+
+const DEFAULT_SYNC_LIMIT = 100;
+const MAX_SYNC_LIMIT = 500;
+
+// Transactions below this ID have all finished, so no event sorting before
+// an event they recorded can still appear
+const COMPLETED_TXID_LIMIT = 'pg_snapshot_xmin(pg_current_snapshot())::text::bigint';
+
+/**
+ * Encode a change log position as an opaque cursor
+ * Events are ordered by the transaction that recorded them, then by ID:
+ * IDs are assigned at insert, so transactions can commit them out of order
+ * @param {string|number} txid - sync_events.txid
+ * @param {string|number} eventId - sync_events.id
+ * @returns {string}
+ */
+const encodeCursor = (txid, eventId) => Buffer.from(`sync:${txid}:${eventId}`).toString('base64url');
+
+/**
+ * Decode an opaque cursor
+ * Cursors handed out before events carried their transaction only hold the event ID
+ * @param {string} cursor - Cursor from a previous sync
+ * @returns {object|null} { txid, id } (txid is null for an event-ID-only cursor), or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+    const match = /^sync:(\d+)(?::(\d+))?$/.exec(Buffer.from(String(cursor), 'base64url').toString());
+    if (!match) {
+        return null;
+    }
+    return match[2] === undefined ? { txid: null, id: match[1] } : { txid: match[1], id: match[2] };
+};
+
+/**
+ * Get a cursor pointing past every change already committed
+ * Changes of transactions still running sort after it
+ * @returns {string}
+ */
+const getCurrentCursor = async () => {
+    const result = await query(`SELECT ${COMPLETED_TXID_LIMIT} AS txid`);
+    return encodeCursor(result.rows[0].txid, 0);
+};
+
+/**
+ * Resolve a cursor to a position in the change log
+ * An event-ID-only cursor is placed right after that event
+ * @returns {object} { txid, id }
+ */
+const resolvePosition = async (position) => {
+    if (position.txid !== null) {
+        return position;
+    }
+
+    const result = await query(
+        'SELECT txid FROM sync_events WHERE id <= $1 ORDER BY id DESC LIMIT 1',
+        [position.id]
+    );
+
+    return { txid: result.rows.length > 0 ? result.rows[0].txid : '0', id: position.id };
+};
+
+/**
+ * Format a sync event row for response
+ */
+const formatEvent = (row) => {
+    const event = {
+        cursor: encodeCursor(row.txid, row.id),
+        type: row.event_type,
+        occurredAt: row.occurred_at
+    };
+
+    switch (row.event_type) {
+        case 'message_created':
+        case 'message_edited':
+        case 'message_deleted':
+            event.message = {
+                id: row.message_id,
+                senderId: row.message_sender_id,
+                receiverId: row.message_receiver_id,
+                conversationId: row.message_conversation_id,
+                content: row.content,
+                messageType: row.message_type,
+                replyToId: row.reply_to_id,
+                createdAt: row.created_at,
+                deliveredAt: row.delivered_at,
+                isRead: row.is_read,
+                readAt: row.read_at,
+                isEdited: row.is_edited,
+                editedAt: row.edited_at,
+                isDeleted: row.is_deleted,
+                deletedAt: row.deleted_at,
+                senderUsername: row.sender_username
+            };
+            break;
+
+        case 'message_read':
+            event.messageId = row.message_id;
+            event.senderId = row.sender_id;
+            event.readBy = row.actor_id;
+            event.readAt = row.read_at;
+            break;
+
+        case 'message_delivered':
+            event.messageId = row.message_id;
+            event.senderId = row.sender_id;
+            event.deliveredTo = row.actor_id;
+            event.deliveredAt = row.delivered_at;
+            break;
+
+        case 'conversation_read':
+            event.conversationId = row.conversation_id;
+            event.readBy = row.actor_id;
+            event.lastReadAt = row.data?.lastReadAt;
+            break;
+
+        case 'message_hidden':
+            event.messageId = row.data?.messageId;
+            break;
+
+        case 'chat_cleared':
+            if (row.conversation_id) {
+                event.conversationId = row.conversation_id;
+            } else {
+                event.partnerId = row.receiver_id;
+            }
+            event.clearedAt = row.data?.clearedAt;
+            break;
+
+        default:
+            break;
+    }
+
+    return event;
+};
+
+/**
+ * Get changes visible to a user since a cursor, oldest first
+ * @param {string} userId - User ID
+ * @param {string} cursor - Opaque cursor from a previous sync
+ * @param {number} [limit] - Maximum number of events
+ * @returns {object|null} { events, cursor, hasMore }, or null if the cursor is invalid
+ */
+const getChangesSince = async (userId, cursor, limit = DEFAULT_SYNC_LIMIT) => {
+    const decoded = decodeCursor(cursor);
+    if (decoded === null) {
+        return null;
+    }
+    const since = await resolvePosition(decoded);
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_SYNC_LIMIT, 1), MAX_SYNC_LIMIT);
+
+    // Events of transactions that may still be running are held back until they finish.
+    // Events of messages that no longer exist are skipped. Messages the user has hidden
+    // (deleted for themselves or cleared with the chat) are skipped too, since hidden_messages
+    // is what reflects a per-user clear; hiding or clearing is only synced to the user's own devices
+    const result = await query(
+        `SELECT
+            e.id,
+            e.txid,
+            e.event_type,
+            e.message_id,
+            e.sender_id,
+            e.receiver_id,
+            e.conversation_id,
+            e.actor_id,
+            e.data,
+            e.occurred_at,
+            m.sender_id as message_sender_id,
+            m.receiver_id as message_receiver_id,
+            m.conversation_id as message_conversation_id,
+            m.content,
+            m.message_type,
+            m.reply_to_id,
+            m.created_at,
+            m.delivered_at,
+            m.is_read,
+            m.read_at,
+            m.is_edited,
+            m.edited_at,
+            m.is_deleted,
+            m.deleted_at,
+            u.username as sender_username
+        FROM sync_events e
+        LEFT JOIN messages m ON m.id = e.message_id
+        LEFT JOIN users u ON u.id = m.sender_id
+        WHERE (e.txid, e.id) > ($2::bigint, $3::bigint)
+          AND e.txid < ${COMPLETED_TXID_LIMIT}
+          AND (e.message_id IS NULL OR m.id IS NOT NULL)
+          AND ${notHiddenCondition('$1')}
+          AND (e.event_type NOT IN ('message_hidden', 'chat_cleared') OR e.actor_id = $1)
+          AND (
+              (e.conversation_id IS NULL AND (e.sender_id = $1 OR e.receiver_id = $1))
+              OR e.conversation_id IN (
+                  SELECT conversation_id FROM conversation_members WHERE user_id = $1
+              )
+          )
+        ORDER BY e.txid ASC, e.id ASC
+        LIMIT $4`,
+        [userId, since.txid, since.id, pageSize + 1]
+    );
+
+    const hasMore = result.rows.length > pageSize;
+    const rows = result.rows.slice(0, pageSize);
+    const lastRow = rows[rows.length - 1];
+
+    const events = rows.map(formatEvent);
+
+    // Quoted previews and attachments for message payloads
+    const messageEvents = events.filter(event => event.message);
+    const messages = await attachAttachments(await attachReplyPreviews(messageEvents.map(event => event.message)));
+    messageEvents.forEach((event, index) => {
+        event.message = messages[index];
+    });
+
+    return {
+        events,
+        cursor: lastRow ? encodeCursor(lastRow.txid, lastRow.id) : encodeCursor(since.txid, since.id),
+        hasMore
+    };
+};
+
+/**
+ * IDs of direct messages in a sync page that were sent to the user
+ * @param {object} changes - Result of getChangesSince
+ * @param {string} userId - User ID
+ * @returns {string[]}
+ */
+const getReceivedMessageIds = (changes, userId) => changes.events
+    .filter(event => event.type === 'message_created' && event.message.receiverId === userId)
+    .map(event => event.message.id);
+
+/**
+ * Record a message hidden for one user ("delete for me")
+ * @param {string} userId - User who hid the message
+ * @param {string} messageId - Hidden message
+ */
+const recordMessageHidden = async (userId, messageId) => {
+    await query(
+        `INSERT INTO sync_events (event_type, sender_id, actor_id, data)
+         VALUES ('message_hidden', $1, $1, jsonb_build_object('messageId', $2::uuid))`,
+        [userId, messageId]
+    );
+};
+
+/**
+ * Record a chat cleared for one user
+ * @param {string} userId - User who cleared the chat
+ * @param {object} chat - Result of resolveChat
+ * @param {Date} clearedAt - Messages up to this time were hidden
+ */
+const recordChatCleared = async (userId, chat, clearedAt) => {
+    await query(
+        `INSERT INTO sync_events (event_type, sender_id, receiver_id, conversation_id, actor_id, data)
+         VALUES ('chat_cleared', $1, $2, $3, $1, jsonb_build_object('clearedAt', $4::timestamptz))`,
+        [
+            userId,
+            chat.type === 'direct' ? chat.id : null,
+            chat.type === 'group' ? chat.id : null,
+            clearedAt
+        ]
+    );
+};
+
+module.exports = {
+    getCurrentCursor,
+    getChangesSince,
+    getReceivedMessageIds,
+    recordMessageHidden,
+    recordChatCleared
+};
@@ -0,0 +1,270 @@
+/**
+ * Transcript Service
+ * Full-history export of a single chat as JSON, plain text or HTML
+ */
+
+const { queryInBatches } = require('../config/db');
+const { chatCondition } = require('./conversationService');
+const { attachAttachments } = require('./attachmentService');
+const { isValidTimezone } = require('./notificationSettingsService');
+const { notHiddenCondition } = require('./hiddenMessageService');
+const { createStreamWriter } = require('./streamService');
+
+const TRANSCRIPT_FORMATS = {
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+    txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' }
+};
+
+const TRANSCRIPT_BATCH_SIZE = 500;
+
+/**
+ * Validate transcript options
+ * @param {object} options - { format, timezone }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateTranscriptOptions = ({ format, timezone }) => {
+    if (!TRANSCRIPT_FORMATS[format]) {
+        return `format must be one of: ${Object.keys(TRANSCRIPT_FORMATS).join(', ')}`;
+    }
+    if (typeof timezone !== 'string' || timezone.length > 64 || !isValidTimezone(timezone)) {
+        return 'timezone must be an IANA time zone such as Europe/Berlin';
+    }
+    return null;
+};
+
+/**
+ * Chat name shown in the transcript and its file name
+ * @param {object} chat - Result of resolveChat
+ */
+const getChatTitle = (chat) => (chat.type === 'group' ? chat.conversation.name : chat.partner.username);
+
+/**
+ * File name for a chat transcript
+ * @param {object} chat - Result of resolveChat
+ * @param {string} format - Transcript format
+ */
+const getTranscriptFileName = (chat, format) => {
+    const name = getChatTitle(chat).replace(/[^a-zA-Z0-9_-]+/g, '_').substring(0, 50) || 'chat';
+    const date = new Date().toISOString().substring(0, 10);
+
+    return `toki-chat-${name}-${date}.${TRANSCRIPT_FORMATS[format].extension}`;
+};
+
+/**
+ * Local date, time and UTC offset of a timestamp in a time zone
+ * @param {Date} date - Timestamp
+ * @param {string} timezone - IANA time zone
+ * @returns {object} { date: 'YYYY-MM-DD', time: 'HH:mm:ss', offset: '+HH:MM' }
+ */
+const toLocalTime = (date, timezone) => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hourCycle: 'h23',
+            timeZoneName: 'longOffset'
+        }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        time: `${parts.hour}:${parts.minute}:${parts.second}`,
+        offset: parts.timeZoneName.replace('GMT', '') || '+00:00'
+    };
+};
+
+/**
+ * ISO 8601 timestamp in a time zone (e.g. 2024-05-01T21:30:00+02:00)
+ */
+const toLocalIso = (date, timezone) => {
+    if (!date) return null;
+
+    const local = toLocalTime(date, timezone);
+    return `${local.date}T${local.time}${local.offset}`;
+};
+
+/**
+ * Human-readable file size
+ */
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const escapeHtml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Format a message row for the transcript
+ * Deleted messages keep their place but not their content
+ */
+const formatTranscriptMessage = (row, timezone) => ({
+    id: row.id,
+    senderId: row.sender_id,
+    senderUsername: row.sender_username,
+    content: row.is_deleted ? null : row.content,
+    messageType: row.message_type,
+    replyToId: row.reply_to_id,
+    replyToUsername: row.reply_to_username,
+    isEdited: Boolean(row.is_edited),
+    editedAt: toLocalIso(row.edited_at, timezone),
+    isDeleted: Boolean(row.is_deleted),
+    createdAt: toLocalIso(row.created_at, timezone)
+});
+
+// =============================================
+// FORMATS
+// =============================================
+// Each format writes a header, then batches of formatted messages, then a footer
+
+const jsonFormat = {
+    header: (meta) => `{"chat":${JSON.stringify(meta.chat)},"exportedAt":${JSON.stringify(meta.exportedAt)},`
+        + `"timezone":${JSON.stringify(meta.timezone)},"messages":[`,
+    messages: (messages, isFirstBatch) => (isFirstBatch ? '' : ',')
+        + messages.map(message => JSON.stringify(message)).join(','),
+    footer: () => ']}'
+};
+
+const txtFormat = {
+    header: (meta) => [
+        meta.chat.type === 'group' ? `Group: ${meta.chat.name}` : `Chat with ${meta.chat.name}`,
+        `Exported: ${meta.exportedAt}`,
+        `Time zone: ${meta.timezone}`,
+        '',
+        ''
+    ].join('\n'),
+    messages: (messages) => messages.map((message) => {
+        const time = message.createdAt.replace('T', ' ').substring(0, 19);
+        const lines = [];
+
+        if (message.replyToId) {
+            lines.push(`  ↳ in reply to ${message.replyToUsername || 'a deleted message'}`);
+        }
+        if (message.isDeleted) {
+            lines.push(`[${time}] ${message.senderUsername}: [Message deleted]`);
+        } else {
+            const content = message.content ? ` ${message.content}` : '';
+            lines.push(`[${time}] ${message.senderUsername}:${content}${message.isEdited ? ' (edited)' : ''}`);
+            message.attachments.forEach(attachment => {
+                lines.push(`  [Attachment: ${attachment.fileName} (${attachment.mimeType}, ${formatSize(attachment.size)}) ${attachment.url}]`);
+            });
+        }
+
+        return `${lines.join('\n')}\n`;
+    }).join(''),
+    footer: () => ''
+};
+
+const htmlFormat = {
+    header: (meta) => {
+        const title = meta.chat.type === 'group' ? `Group: ${meta.chat.name}` : `Chat with ${meta.chat.name}`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 720px; margin: 2em auto; color: #222; }
+.message { margin: 0.75em 0; }
+.meta { color: #777; font-size: 0.85em; }
+.sender { font-weight: 600; }
+.deleted { color: #999; font-style: italic; }
+.reply { color: #777; font-size: 0.85em; border-left: 3px solid #ccc; padding-left: 0.5em; }
+.content { white-space: pre-wrap; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">Exported ${escapeHtml(meta.exportedAt)} &middot; Time zone ${escapeHtml(meta.timezone)}</p>
+`;
+    },
+    messages: (messages) => messages.map((message) => {
+        const time = message.createdAt.replace('T', ' ').substring(0, 19);
+        const parts = [
+            `<div class="message" id="m-${message.id}">`,
+            `<div class="meta"><span class="sender">${escapeHtml(message.senderUsername)}</span> &middot; <time datetime="${message.createdAt}">${time}</time>${message.isEdited && !message.isDeleted ? ' &middot; edited' : ''}</div>`
+        ];
+
+        if (message.replyToId) {
+            parts.push(`<div class="reply">In reply to <a href="#m-${message.replyToId}">${escapeHtml(message.replyToUsername || 'a deleted message')}</a></div>`);
+        }
+        if (message.isDeleted) {
+            parts.push('<div class="deleted">Message deleted</div>');
+        } else {
+            if (message.content) {
+                parts.push(`<div class="content">${escapeHtml(message.content)}</div>`);
+            }
+            message.attachments.forEach(attachment => {
+                parts.push(`<div class="attachment">&#128206; <a href="${escapeHtml(attachment.url)}">${escapeHtml(attachment.fileName)}</a> <span class="meta">(${escapeHtml(attachment.mimeType)}, ${formatSize(attachment.size)})</span></div>`);
+            });
+        }
+
+        parts.push('</div>\n');
+        return parts.join('\n');
+    }).join(''),
+    footer: () => '</body>\n</html>\n'
+};
+
+const formats = { json: jsonFormat, txt: txtFormat, html: htmlFormat };
+
+/**
+ * Write a chat's entire history as a transcript
+ * Messages are read through a cursor and written as they arrive, so long chats are never held in memory
+ * @param {string} userId - Requesting user ID
+ * @param {object} chat - Result of resolveChat
+ * @param {object} options - Validated { format, timezone }
+ * @param {Writable} out - Destination stream (left open)
+ */
+const writeTranscript = async (userId, chat, { format, timezone }, out) => {
+    const formatter = formats[format];
+    const write = createStreamWriter(out);
+
+    await write(formatter.header({
+        chat: { type: chat.type, id: chat.id, name: getChatTitle(chat) },
+        exportedAt: toLocalIso(new Date(), timezone),
+        timezone
+    }));
+
+    let isFirstBatch = true;
+    await queryInBatches(
+        `SELECT m.id, m.sender_id, u.username as sender_username, m.content, m.message_type,
+                m.reply_to_id, ru.username as reply_to_username,
+                m.is_edited, m.edited_at, m.is_deleted, m.created_at
+         FROM messages m
+         JOIN users u ON u.id = m.sender_id
+         LEFT JOIN messages rm ON rm.id = m.reply_to_id
+         LEFT JOIN users ru ON ru.id = rm.sender_id
+         WHERE ${chatCondition(chat)}
+           AND ${notHiddenCondition('$1')}
+         ORDER BY m.created_at ASC, m.id ASC`,
+        [userId, chat.id],
+        async (rows) => {
+            const messages = await attachAttachments(rows.map(row => formatTranscriptMessage(row, timezone)));
+
+            await write(formatter.messages(messages, isFirstBatch));
+            isFirstBatch = false;
+        },
+        TRANSCRIPT_BATCH_SIZE
+    );
+
+    await write(formatter.footer());
+};
+
+module.exports = {
+    TRANSCRIPT_FORMATS,
+    validateTranscriptOptions,
+    getTranscriptFileName,
+    writeTranscript
+};
@@ -0,0 +1,348 @@
+/**
+ * Two-Factor Service
+ * TOTP (RFC 6238) enrollment and verification, backup codes and login challenges
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, getClient } = require('../config/db');
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // Accept codes one step either side for clock drift
+const SECRET_BYTES = 20;
+const BACKUP_CODE_COUNT = 10;
+const ISSUER = 'Toki';
+
+const CHALLENGE_PURPOSE = 'login_challenge';
+const CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Derive a key from JWT_SECRET for a purpose (used when no dedicated key is configured)
+ */
+const deriveKey = (purpose) => crypto.createHmac('sha256', process.env.JWT_SECRET).update(purpose).digest();
+
+/**
+ * Key TOTP secrets are encrypted with (TWO_FACTOR_ENCRYPTION_KEY: 64 hex characters)
+ */
+const getEncryptionKey = () => (process.env.TWO_FACTOR_ENCRYPTION_KEY
+    ? Buffer.from(process.env.TWO_FACTOR_ENCRYPTION_KEY, 'hex')
+    : deriveKey('two-factor-encryption'));
+
+/**
+ * Key login challenges are signed with; kept apart from JWT_SECRET so a
+ * challenge can never be used as an access token
+ */
+const getChallengeSecret = () => deriveKey('two-factor-challenge').toString('hex');
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding), the format authenticator apps expect
+ */
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ */
+const base32Decode = (encoded) => {
+    let bits = '';
+    for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+        bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.substring(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @returns {string} iv.tag.ciphertext (base64url)
+ */
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate the TOTP code of a time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step (seconds since epoch / period)
+ * @returns {string}
+ */
+const generateCode = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to, within the drift window
+ * @returns {number|null}
+ */
+const matchCodeStep = (secret, code) => {
+    const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+    const expected = Buffer.from(code);
+
+    for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+        const candidate = Buffer.from(generateCode(secret, currentStep + offset));
+        if (candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)) {
+            return currentStep + offset;
+        }
+    }
+    return null;
+};
+
+/**
+ * Normalize a code typed by the user (spaces and dashes are ignored)
+ */
+const normalizeCode = (code) => (typeof code === 'string' ? code.replace(/[\s-]/g, '').toLowerCase() : '');
+
+/**
+ * Generate a set of backup codes (shown to the user once)
+ * @returns {string[]} Codes formatted as xxxxx-xxxxx
+ */
+const generateBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.substring(0, 5)}-${code.substring(5)}`;
+});
+
+/**
+ * Get a user's two-factor state
+ * @param {string} userId - User ID
+ * @returns {object} { enabled, enabledAt, backupCodesRemaining }
+ */
+const getTwoFactorStatus = async (userId) => {
+    const result = await query(
+        `SELECT u.totp_enabled, u.totp_enabled_at,
+                (SELECT COUNT(*) FROM two_factor_backup_codes b
+                 WHERE b.user_id = u.id AND b.used_at IS NULL) as backup_codes_remaining
+         FROM users u WHERE u.id = $1`,
+        [userId]
+    );
+
+    const row = result.rows[0];
+
+    return {
+        enabled: row.totp_enabled,
+        enabledAt: row.totp_enabled_at,
+        backupCodesRemaining: row.totp_enabled ? parseInt(row.backup_codes_remaining, 10) : 0
+    };
+};
+
+/**
+ * Start enrollment: store a new (not yet active) secret
+ * @param {object} user - User row (id, email)
+ * @returns {object|null} { secret, otpauthUri }, or null if 2FA is already enabled
+ */
+const startEnrollment = async (user) => {
+    const secret = base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+    const result = await query(
+        `UPDATE users SET totp_secret = $1, totp_last_used_step = NULL
+         WHERE id = $2 AND totp_enabled = false
+         RETURNING id`,
+        [encryptSecret(secret), user.id]
+    );
+
+    if (result.rows.length === 0) {
+        return null;
+    }
+
+    const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+    const otpauthUri = `otpauth://totp/${label}?secret=${secret}&issuer=${ISSUER}`
+        + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+
+    return { secret, otpauthUri };
+};
+
+/**
+ * Accept a TOTP code, recording its step so it cannot be used twice
+ * @param {string} userId - User ID
+ * @param {string} storedSecret - Encrypted secret
+ * @param {string} code - Normalized code
+ * @returns {boolean}
+ */
+const acceptTotpCode = async (userId, storedSecret, code) => {
+    const step = matchCodeStep(decryptSecret(storedSecret), code);
+    if (step === null) {
+        return false;
+    }
+
+    const result = await query(
+        `UPDATE users SET totp_last_used_step = $2
+         WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+         RETURNING id`,
+        [userId, step]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Finish enrollment with a first code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {string[]|null} Backup codes, or null if the code is wrong or enrollment was not started
+ */
+const confirmEnrollment = async (userId, code) => {
+    const result = await query(
+        'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled = false AND totp_secret IS NOT NULL',
+        [userId]
+    );
+
+    if (result.rows.length === 0 || !(await acceptTotpCode(userId, result.rows[0].totp_secret, normalizeCode(code)))) {
+        return null;
+    }
+
+    const backupCodes = generateBackupCodes();
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+
+        await client.query(
+            'UPDATE users SET totp_enabled = true, totp_enabled_at = NOW() WHERE id = $1',
+            [userId]
+        );
+
+        await client.query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+        await client.query(
+            `INSERT INTO two_factor_backup_codes (user_id, code_hash)
+             SELECT $1, UNNEST($2::text[])`,
+            [userId, backupCodes.map(backupCode => hashCode(normalizeCode(backupCode)))]
+        );
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+
+    return backupCodes;
+};
+
+/**
+ * Verify a second factor: a TOTP code or an unused backup code (which is then used up)
+ * @param {string} userId - User ID
+ * @param {string} code - Code typed by the user
+ * @returns {boolean} False if wrong, or if 2FA is not enabled
+ */
+const verifyTwoFactorCode = async (userId, code) => {
+    const normalized = normalizeCode(code);
+    if (!normalized) {
+        return false;
+    }
+
+    const result = await query(
+        'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled = true',
+        [userId]
+    );
+
+    if (result.rows.length === 0) {
+        return false;
+    }
+
+    if (normalized.length === TOTP_DIGITS) {
+        return acceptTotpCode(userId, result.rows[0].totp_secret, normalized);
+    }
+
+    const backup = await query(
+        `UPDATE two_factor_backup_codes SET used_at = NOW()
+         WHERE id = (
+             SELECT id FROM two_factor_backup_codes
+             WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+             LIMIT 1
+         ) AND used_at IS NULL
+         RETURNING id`,
+        [userId, hashCode(normalized)]
+    );
+
+    return backup.rows.length > 0;
+};
+
+/**
+ * Turn 2FA off and discard the secret and backup codes
+ * @param {string} userId - User ID
+ */
+const disableTwoFactor = async (userId) => {
+    await query(
+        `UPDATE users
+         SET totp_enabled = false, totp_enabled_at = NULL, totp_secret = NULL, totp_last_used_step = NULL
+         WHERE id = $1`,
+        [userId]
+    );
+    await query('DELETE FROM two_factor_backup_codes WHERE user_id = $1', [userId]);
+};
+
+/**
+ * Issue a login challenge for a user who passed the password step
+ * @param {string} userId - User ID
+ * @returns {string} Challenge token (valid for a few minutes)
+ */
+const createLoginChallenge = (userId) => jwt.sign(
+    { userId, purpose: CHALLENGE_PURPOSE },
+    getChallengeSecret(),
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+/**
+ * Read a login challenge
+ * @param {string} challengeToken - Token from the password step
+ * @returns {string|null} User ID, or null if the challenge is invalid or expired
+ */
+const verifyLoginChallenge = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, getChallengeSecret());
+        return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    startEnrollment,
+    confirmEnrollment,
+    verifyTwoFactorCode,
+    disableTwoFactor,
+    createLoginChallenge,
+    verifyLoginChallenge
+};
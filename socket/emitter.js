@@ -0,0 +1,121 @@
+/**
+ * Socket.io Emitter
+ * Holds the server instance so routes and services can publish events
+ * without depending on the connection handlers
+ */
+
+const { userRoom, sessionRoom, conversationRoom, messageAudienceRooms } = require('./rooms');
+
+// Socket.io server instance (set on initialization)
+let ioInstance = null;
+
+/**
+ * Set the Socket.io server instance events are published through
+ * @param {Server} io - Socket.io server instance
+ */
+const setIO = (io) => {
+    ioInstance = io;
+};
+
+/**
+ * Get the Socket.io server instance (for use outside socket handlers)
+ * @returns {Server|null}
+ */
+const getIO = () => ioInstance;
+
+/**
+ * Add a user's live socket to a group conversation room
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ */
+const joinConversationRoom = (userId, conversationId) => {
+    if (ioInstance) {
+        ioInstance.in(userRoom(userId)).socketsJoin(conversationRoom(conversationId));
+    }
+};
+
+/**
+ * Remove a user's live socket from a group conversation room
+ * @param {string} userId - User ID
+ * @param {string} conversationId - Conversation ID
+ */
+const leaveConversationRoom = (userId, conversationId) => {
+    if (ioInstance) {
+        ioInstance.in(userRoom(userId)).socketsLeave(conversationRoom(conversationId));
+    }
+};
+
+/**
+ * Emit an event to all connected devices of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ */
+const emitToUser = (userId, event, payload) => {
+    if (ioInstance) {
+        ioInstance.to(userRoom(userId)).emit(event, payload);
+    }
+};
+
+/**
+ * Emit an event to all connected devices of a user and collect their acknowledgements
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @param {number} timeoutMs - How long to wait for acknowledgements
+ * @param {Function} onAcks - Called with (err, acks) once all devices answered or the timeout passed
+ */
+const emitToUserWithAck = (userId, event, payload, timeoutMs, onAcks) => {
+    if (ioInstance) {
+        ioInstance.to(userRoom(userId)).timeout(timeoutMs).emit(event, payload, onAcks);
+    }
+};
+
+/**
+ * Emit an event to every member of a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ * @param {string} [exceptUserId] - Member whose devices are skipped (usually the actor)
+ */
+const emitToConversation = (conversationId, event, payload, exceptUserId = null) => {
+    if (ioInstance) {
+        ioInstance.to(conversationRoom(conversationId))
+            .except(exceptUserId ? userRoom(exceptUserId) : [])
+            .emit(event, payload);
+    }
+};
+
+/**
+ * Emit an event to everyone who can see a message (both direct participants or all group members)
+ * @param {object} message - Message row (sender_id, receiver_id, conversation_id)
+ * @param {string} event - Event name
+ * @param {object} payload - Event payload
+ */
+const emitToMessageAudience = (message, event, payload) => {
+    if (ioInstance) {
+        ioInstance.to(messageAudienceRooms(message)).emit(event, payload);
+    }
+};
+
+/**
+ * Disconnect all live sockets belonging to the given sessions
+ * @param {string[]} sessionIds - Session IDs
+ */
+const disconnectSessions = (sessionIds) => {
+    if (ioInstance && sessionIds.length > 0) {
+        ioInstance.in(sessionIds.map(sessionRoom)).disconnectSockets(true);
+    }
+};
+
+module.exports = {
+    setIO,
+    getIO,
+    joinConversationRoom,
+    leaveConversationRoom,
+    emitToUser,
+    emitToUserWithAck,
+    emitToConversation,
+    emitToMessageAudience,
+    disconnectSessions
+};
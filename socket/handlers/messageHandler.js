@@ -1,151 +1,102 @@
 /**
  * Message Handler
  * Handles all message-related socket events
+ * Sending, editing, deleting and read receipts go through the message service shared with the REST routes
  */
 
 const { query } = require('../../config/db');
+const { attachReactions } = require('../../services/reactionService');
+const { attachReplyPreviews } = require('../../services/replyService');
+const { attachAttachments } = require('../../services/attachmentService');
+const { resolveChat, chatCondition } = require('../../services/conversationService');
+const { notHiddenCondition } = require('../../services/hiddenMessageService');
+const {
+    getHistoryPageSize,
+    deliverMessages,
+    sendMessage,
+    editMessage,
+    deleteMessage,
+    hideMessage,
+    markMessagesRead
+} = require('../../services/messageService');
 
 /**
  * Initialize message handlers for a socket
  * @param {Socket} socket - The connected socket instance
  * @param {Server} io - The Socket.io server instance
- * @param {Map} connectedUsers - Map of connected users
  */
-const messageHandler = (socket, io, connectedUsers) => {
+const messageHandler = (socket, io) => {
+
+    /**
+     * Report a failed message event to the callback and as message_error
+     */
+    const reportError = (error, callback) => {
+        if (callback) callback(error);
+        socket.emit('message_error', error);
+    };
 
     /**
      * Handle send_message event
-     * Saves message to database and delivers to recipient
+     * Saves message to database and delivers to recipient (receiverId)
+     * or to every member of a group conversation (conversationId).
+     * Optional replyToId quotes an earlier message of the same conversation;
+     * optional attachmentIds sends files uploaded via POST /api/attachments
      */
     socket.on('send_message', async (data, callback) => {
-        const { receiverId, content, tempId } = data;
+        const { receiverId, conversationId, content, replyToId, attachmentIds, tempId } = data || {};
 
-        // Validate input
-        if (!receiverId || !content) {
-            const error = { tempId, error: 'Receiver ID and content are required' };
-            if (callback) callback(error);
-            socket.emit('message_error', error);
-            return;
-        }
-
-        if (content.trim().length === 0) {
-            const error = { tempId, error: 'Message content cannot be empty' };
-            if (callback) callback(error);
-            socket.emit('message_error', error);
-            return;
-        }
-
-        if (content.length > 5000) {
-            const error = { tempId, error: 'Message too long (max 5000 characters)' };
-            if (callback) callback(error);
-            socket.emit('message_error', error);
-            return;
+        if (!receiverId && !conversationId) {
+            return reportError({ tempId, error: 'Receiver ID or conversation ID is required' }, callback);
         }
 
         try {
-            // Verify receiver exists
-            const receiverCheck = await query(
-                'SELECT id, username FROM users WHERE id = $1',
-                [receiverId]
+            const result = await sendMessage(
+                { id: socket.userId, username: socket.user.username },
+                { chatId: conversationId || receiverId, content, replyToId, attachmentIds: attachmentIds || [], tempId }
             );
 
-            if (receiverCheck.rows.length === 0) {
-                const error = { tempId, error: 'Recipient not found' };
-                if (callback) callback(error);
-                socket.emit('message_error', error);
-                return;
-            }
-
-            // Save message to database
-            const result = await query(
-                `INSERT INTO messages (sender_id, receiver_id, content)
-                 VALUES ($1, $2, $3)
-                 RETURNING id, sender_id, receiver_id, content, created_at, is_read, read_at`,
-                [socket.userId, receiverId, content.trim()]
-            );
-
-            const message = {
-                id: result.rows[0].id,
-                senderId: result.rows[0].sender_id,
-                receiverId: result.rows[0].receiver_id,
-                content: result.rows[0].content,
-                createdAt: result.rows[0].created_at,
-                isRead: result.rows[0].is_read,
-                readAt: result.rows[0].read_at,
-                senderUsername: socket.user.username
-            };
-
-            console.log(`📨 Message from ${socket.user.username} to ${receiverCheck.rows[0].username}`);
-
-            // Confirm message sent to sender
-            const sentConfirmation = { tempId, message };
-            if (callback) callback({ success: true, ...sentConfirmation });
-            socket.emit('message_sent', sentConfirmation);
-
-            // Deliver to recipient if online
-            const recipientSocketId = connectedUsers.get(String(receiverId));
-            if (recipientSocketId) {
-                io.to(recipientSocketId).emit('receive_message', { message });
-                console.log(`   ↳ Delivered to online user: ${receiverCheck.rows[0].username}`);
-            } else {
-                console.log(`   ↳ Recipient offline, message stored for later`);
+            if (result.status !== 'ok') {
+                return reportError({ tempId, error: result.error }, callback);
             }
 
+            // message_sent reaches all of the sender's devices; this acknowledges the sending one
+            if (callback) callback({ success: true, tempId, message: result.message });
         } catch (error) {
             console.error('Send message error:', error);
-            const errorResponse = { tempId, error: 'Failed to send message' };
-            if (callback) callback(errorResponse);
-            socket.emit('message_error', errorResponse);
+            reportError({ tempId, error: 'Failed to send message' }, callback);
         }
     });
 
     /**
      * Handle mark_read event
-     * Marks messages as read and notifies sender
+     * Marks messages as read and notifies their senders (or the group conversation)
      */
-    socket.on('mark_read', async (data) => {
-        const { messageIds, senderId } = data;
-
-        if (!messageIds || !Array.isArray(messageIds) || messageIds.length === 0) {
-            return;
-        }
+    socket.on('mark_read', async (data, callback) => {
+        const { messageIds } = data || {};
 
         try {
-            const readAt = new Date();
-
-            // Update messages in database
-            await query(
-                `UPDATE messages 
-                 SET is_read = true, read_at = $1 
-                 WHERE id = ANY($2) AND receiver_id = $3 AND is_read = false`,
-                [readAt, messageIds, socket.userId]
-            );
+            const result = await markMessagesRead(socket.userId, messageIds);
 
-            console.log(`✓ ${socket.user.username} marked ${messageIds.length} messages as read`);
-
-            // Notify sender about read receipts
-            if (senderId) {
-                const senderSocketId = connectedUsers.get(senderId);
-                if (senderSocketId) {
-                    io.to(senderSocketId).emit('messages_read', {
-                        messageIds,
-                        readAt: readAt.toISOString(),
-                        readBy: socket.userId
-                    });
-                }
+            if (result.status !== 'ok') {
+                return reportError({ error: result.error }, callback);
             }
 
+            console.log(`✓ ${socket.user.username} marked ${messageIds.length} messages as read`);
+
+            if (callback) callback({ success: true, readAt: result.readAt.toISOString() });
         } catch (error) {
             console.error('Mark read error:', error);
+            reportError({ error: 'Failed to mark messages as read' }, callback);
         }
     });
 
     /**
      * Handle get_history event
-     * Fetches message history between two users
+     * Fetches message history between two users or of a group conversation
      */
     socket.on('get_history', async (data, callback) => {
-        const { partnerId, limit = 50, before } = data;
+        const { limit, before } = data;
+        const partnerId = data.partnerId || data.conversationId;
 
         if (!partnerId) {
             if (callback) callback({ error: 'Partner ID is required' });
@@ -153,16 +104,29 @@ const messageHandler = (socket, io, connectedUsers) => {
         }
 
         try {
+            const chat = await resolveChat(socket.userId, partnerId);
+
+            if (!chat) {
+                if (callback) callback({ error: 'Conversation not found' });
+                return;
+            }
+
+            // Fetching history delivers the partner's pending messages
+            if (chat.type === 'direct') {
+                await deliverMessages(socket.userId, { senderId: chat.id });
+            }
+
             let queryText = `
-                SELECT m.id, m.sender_id, m.receiver_id, m.content, m.created_at, m.is_read, m.read_at,
+                SELECT m.id, m.sender_id, m.receiver_id, m.conversation_id, m.content, m.message_type,
+                       m.created_at, m.reply_to_id, m.delivered_at, m.is_read, m.read_at,
                        u.username as sender_username
                 FROM messages m
                 JOIN users u ON m.sender_id = u.id
-                WHERE ((m.sender_id = $1 AND m.receiver_id = $2) 
-                    OR (m.sender_id = $2 AND m.receiver_id = $1))
+                WHERE ${chatCondition(chat)}
+                  AND ${notHiddenCondition('$1')}
             `;
 
-            const params = [socket.userId, partnerId];
+            const params = [socket.userId, chat.id];
 
             if (before) {
                 queryText += ` AND m.created_at < $3`;
@@ -170,23 +134,30 @@ const messageHandler = (socket, io, connectedUsers) => {
             }
 
             queryText += ` ORDER BY m.created_at DESC LIMIT $${params.length + 1}`;
-            params.push(limit);
+            // One row past the page tells whether there is more
+            const pageSize = getHistoryPageSize(limit);
+            params.push(pageSize + 1);
 
             const result = await query(queryText, params);
+            const hasMore = result.rows.length > pageSize;
+            const rows = result.rows.slice(0, pageSize);
 
-            const messages = result.rows.map(row => ({
+            const messages = await attachReactions(await attachAttachments(await attachReplyPreviews(rows.map(row => ({
                 id: row.id,
                 senderId: row.sender_id,
                 receiverId: row.receiver_id,
+                conversationId: row.conversation_id,
                 content: row.content,
+                messageType: row.message_type,
+                replyToId: row.reply_to_id,
                 createdAt: row.created_at,
+                deliveredAt: row.delivered_at,
                 isRead: row.is_read,
                 readAt: row.read_at,
                 senderUsername: row.sender_username
-            })).reverse(); // Reverse to get chronological order
+            })).reverse()))); // Reverse to get chronological order
 
-            const hasMore = result.rows.length === limit;
-            const nextCursor = hasMore ? result.rows[result.rows.length - 1]?.created_at : null;
+            const nextCursor = hasMore ? rows[rows.length - 1].created_at : null;
 
             if (callback) {
                 callback({
@@ -203,48 +174,64 @@ const messageHandler = (socket, io, connectedUsers) => {
         }
     });
 
-
     /**
      * Handle edit_message event
+     * Same rules as PUT /api/messages/message/:messageId; the chat receives message_updated
      */
-    socket.on('edit_message', async (data) => {
-        const { messageId, content, receiverId } = data;
+    socket.on('edit_message', async (data, callback) => {
+        const { messageId, content } = data || {};
 
         try {
-            // Update in DB (we reuse the logic or just do a quick update here)
-            // Ideally we call the same logic as the REST API, but for speed let's just update
-            const result = await query(
-                `UPDATE messages 
-                 SET content = $1, is_edited = true, edited_at = NOW() 
-                 WHERE id = $2 AND sender_id = $3
-                 RETURNING id, content, is_edited, edited_at`,
-                [content, messageId, socket.userId]
-            );
+            const result = await editMessage(socket.userId, messageId, content);
 
-            if (result.rows.length > 0) {
-                const updatedMessage = result.rows[0];
-
-                // Broadcast to receiver
-                const recipientSocketId = connectedUsers.get(String(receiverId));
-                if (recipientSocketId) {
-                    io.to(recipientSocketId).emit('message_updated', {
-                        id: messageId,
-                        content: content,
-                        isEdited: true,
-                        senderId: socket.userId
-                    });
-                }
-
-                // Confirm to sender (so they see the update immediately if they have multiple tabs open)
-                socket.emit('message_updated', {
-                    id: messageId,
-                    content: content,
-                    isEdited: true,
-                    senderId: socket.userId
+            if (result.status !== 'ok') {
+                return reportError({ messageId, error: result.error }, callback);
+            }
+
+            if (callback) {
+                callback({
+                    success: true,
+                    message: {
+                        id: result.message.id,
+                        conversationId: result.message.conversation_id,
+                        content: result.message.content,
+                        isEdited: result.message.is_edited,
+                        editedAt: result.message.edited_at,
+                        senderId: result.message.sender_id
+                    }
                 });
             }
         } catch (error) {
             console.error('Edit message error:', error);
+            reportError({ messageId, error: 'Failed to edit message' }, callback);
+        }
+    });
+
+    /**
+     * Handle delete_message event
+     * Same rules as DELETE /api/messages/message/:messageId: scope 'everyone' (default)
+     * sends message_deleted to the chat, scope 'me' sends message_hidden to your devices
+     */
+    socket.on('delete_message', async (data, callback) => {
+        const { messageId, scope = 'everyone' } = data || {};
+
+        if (scope !== 'everyone' && scope !== 'me') {
+            return reportError({ messageId, error: 'scope must be one of: everyone, me' }, callback);
+        }
+
+        try {
+            const result = scope === 'me'
+                ? await hideMessage(socket.userId, messageId)
+                : await deleteMessage(socket.userId, messageId);
+
+            if (result.status !== 'ok') {
+                return reportError({ messageId, error: result.error }, callback);
+            }
+
+            if (callback) callback({ success: true, messageId, scope });
+        } catch (error) {
+            console.error('Delete message error:', error);
+            reportError({ messageId, error: 'Failed to delete message' }, callback);
         }
     });
 };
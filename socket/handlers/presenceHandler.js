@@ -4,23 +4,30 @@
  */
 
 const { query } = require('../../config/db');
+const { isBlockedBetween } = require('../../services/blockService');
+const { setSocketBackground } = require('../presence');
 
 /**
  * Initialize presence handlers for a socket
  * @param {Socket} socket - The connected socket instance
  * @param {Server} io - The Socket.io server instance
- * @param {Map} connectedUsers - Map of connected users
  */
-const presenceHandler = (socket, io, connectedUsers) => {
+const presenceHandler = (socket, io) => {
 
     /**
      * Handle get_online_users event
-     * Returns list of currently online users
+     * Returns list of currently online users (excluding users on either side of a block)
      */
     socket.on('get_online_users', async (callback) => {
         try {
             const result = await query(
-                'SELECT id, username, is_online, last_seen FROM users WHERE is_online = true AND id != $1',
+                `SELECT id, username, is_online, last_seen FROM users
+                 WHERE is_online = true AND id != $1
+                   AND id NOT IN (
+                       SELECT blocked_id FROM user_blocks WHERE blocker_id = $1
+                       UNION
+                       SELECT blocker_id FROM user_blocks WHERE blocked_id = $1
+                   )`,
                 [socket.userId]
             );
 
@@ -42,7 +49,7 @@ const presenceHandler = (socket, io, connectedUsers) => {
 
     /**
      * Handle get_user_status event
-     * Returns online status for a specific user
+     * Returns online status for a specific user (hidden across a block)
      */
     socket.on('get_user_status', async (data, callback) => {
         const { userId } = data;
@@ -64,14 +71,16 @@ const presenceHandler = (socket, io, connectedUsers) => {
             }
 
             const user = result.rows[0];
+            const hidden = await isBlockedBetween(socket.userId, user.id);
+
             if (callback) {
                 callback({
                     success: true,
                     user: {
                         id: user.id,
                         username: user.username,
-                        isOnline: user.is_online,
-                        lastSeen: user.last_seen
+                        isOnline: hidden ? false : user.is_online,
+                        lastSeen: hidden ? null : user.last_seen
                     }
                 });
             }
@@ -80,6 +89,24 @@ const presenceHandler = (socket, io, connectedUsers) => {
             if (callback) callback({ error: 'Failed to fetch user status' });
         }
     });
+
+    /**
+     * Handle app_state event
+     * Backgrounded apps keep their socket but get push notifications for new messages
+     */
+    socket.on('app_state', async (data) => {
+        const state = data?.state;
+
+        if (state !== 'background' && state !== 'foreground') {
+            return;
+        }
+
+        try {
+            await setSocketBackground(socket, state === 'background');
+        } catch (error) {
+            console.error('App state error:', error);
+        }
+    });
 };
 
 module.exports = presenceHandler;
@@ -0,0 +1,80 @@
+/**
+ * Reaction Handler
+ * Handles emoji reaction events
+ */
+
+const { messageAudienceRooms } = require('../rooms');
+const {
+    validateEmoji,
+    getReactableMessage,
+    addReaction,
+    removeReaction,
+    buildReactionUpdate
+} = require('../../services/reactionService');
+
+/**
+ * Initialize reaction handlers for a socket
+ * @param {Socket} socket - The connected socket instance
+ * @param {Server} io - The Socket.io server instance
+ */
+const reactionHandler = (socket, io) => {
+
+    /**
+     * Add or remove a reaction and broadcast reaction_updated to everyone in the chat
+     */
+    const handleReaction = (action) => async (data, callback) => {
+        const { messageId, emoji } = data || {};
+
+        if (!messageId) {
+            if (callback) callback({ error: 'Message ID is required' });
+            return;
+        }
+
+        const emojiError = validateEmoji(emoji);
+        if (emojiError) {
+            if (callback) callback({ error: emojiError });
+            return;
+        }
+
+        try {
+            const message = await getReactableMessage(messageId, socket.userId);
+
+            if (!message) {
+                if (callback) callback({ error: 'Message not found' });
+                return;
+            }
+
+            if (message.is_deleted) {
+                if (callback) callback({ error: 'Cannot react to a deleted message' });
+                return;
+            }
+
+            const changed = action === 'added'
+                ? await addReaction(message.id, socket.userId, emoji)
+                : await removeReaction(message.id, socket.userId, emoji);
+
+            const update = await buildReactionUpdate(message, socket.userId, emoji, action);
+
+            if (changed) {
+                io.to(messageAudienceRooms(message)).emit('reaction_updated', update);
+            }
+
+            if (callback) callback({ success: true, ...update });
+        } catch (error) {
+            console.error('Reaction error:', error);
+            if (callback) callback({ error: 'Failed to update reaction' });
+        }
+    };
+
+    /**
+     * Handle add_reaction event
+     */
+    socket.on('add_reaction', handleReaction('added'));
+
+    /**
+     * Handle remove_reaction event
+     */
+    socket.on('remove_reaction', handleReaction('removed'));
+};
+
+module.exports = reactionHandler;
@@ -0,0 +1,65 @@
+/**
+ * Sync Handler
+ * Lets reconnecting clients fetch everything they missed since a cursor
+ */
+
+const { userRoom } = require('../rooms');
+const {
+    getCurrentCursor,
+    getChangesSince,
+    getReceivedMessageIds
+} = require('../../services/syncService');
+const { markMessagesDelivered, buildDeliveredEvents } = require('../../services/receiptService');
+
+/**
+ * Initialize sync handlers for a socket
+ * @param {Socket} socket - The connected socket instance
+ * @param {Server} io - The Socket.io server instance
+ */
+const syncHandler = (socket, io) => {
+
+    /**
+     * Handle sync event
+     * Same contract as GET /api/sync: { since, limit } -> { events, cursor, hasMore }
+     */
+    socket.on('sync', async (data, callback) => {
+        if (!callback) return;
+
+        const { since, limit } = data || {};
+
+        try {
+            if (!since) {
+                callback({
+                    success: true,
+                    events: [],
+                    cursor: await getCurrentCursor(),
+                    hasMore: false
+                });
+                return;
+            }
+
+            const changes = await getChangesSince(socket.userId, since, limit);
+
+            if (!changes) {
+                callback({ error: 'Invalid sync cursor' });
+                return;
+            }
+
+            // Synced messages have reached this device
+            const receivedIds = getReceivedMessageIds(changes, socket.userId);
+            if (receivedIds.length > 0) {
+                const delivery = await markMessagesDelivered(socket.userId, { messageIds: receivedIds });
+                buildDeliveredEvents(socket.userId, delivery).forEach(({ senderId, payload }) => {
+                    io.to(userRoom(senderId)).emit('messages_delivered', payload);
+                });
+            }
+
+            callback({ success: true, ...changes });
+        } catch (error) {
+            console.error('Sync error:', error);
+            callback({ error: 'Failed to sync changes' });
+        }
+    });
+};
+
+module.exports = syncHandler;
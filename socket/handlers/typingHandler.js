@@ -3,47 +3,81 @@
  * Handles typing indicator events
  */
 
+const { userRoom, conversationRoom } = require('../rooms');
+const { isBlockedBetween, getBlockedPeerIds } = require('../../services/blockService');
+
 /**
  * Initialize typing handlers for a socket
  * @param {Socket} socket - The connected socket instance
  * @param {Server} io - The Socket.io server instance
- * @param {Map} connectedUsers - Map of connected users
  */
-const typingHandler = (socket, io, connectedUsers) => {
+const typingHandler = (socket, io) => {
 
     /**
      * Handle typing event - user started typing
      */
-    socket.on('typing', (data) => {
-        const { receiverId } = data;
+    socket.on('typing', async (data) => {
+        try {
+            const { receiverId, conversationId } = data || {};
+
+            // Group conversation: notify the room if this socket is a member,
+            // except users on either side of a block
+            if (conversationId) {
+                const room = conversationRoom(conversationId);
+                if (socket.rooms.has(room)) {
+                    const blockedPeerIds = await getBlockedPeerIds(socket.userId);
+                    io.to(room).except([socket.userId, ...blockedPeerIds].map(userRoom)).emit('user_typing', {
+                        userId: socket.userId,
+                        username: socket.user.username,
+                        conversationId
+                    });
+                }
+                return;
+            }
 
-        if (!receiverId) return;
+            if (!receiverId || await isBlockedBetween(socket.userId, receiverId)) return;
 
-        // Send typing indicator to recipient if online
-        const recipientSocketId = connectedUsers.get(receiverId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('user_typing', {
+            // Send typing indicator to all of the recipient's devices
+            io.to(userRoom(receiverId)).emit('user_typing', {
                 userId: socket.userId,
                 username: socket.user.username
             });
+        } catch (error) {
+            console.error('Typing error:', error);
         }
     });
 
     /**
      * Handle stop_typing event - user stopped typing
      */
-    socket.on('stop_typing', (data) => {
-        const { receiverId } = data;
+    socket.on('stop_typing', async (data) => {
+        try {
+            const { receiverId, conversationId } = data || {};
+
+            // Group conversation: notify the room if this socket is a member,
+            // except users on either side of a block
+            if (conversationId) {
+                const room = conversationRoom(conversationId);
+                if (socket.rooms.has(room)) {
+                    const blockedPeerIds = await getBlockedPeerIds(socket.userId);
+                    io.to(room).except([socket.userId, ...blockedPeerIds].map(userRoom)).emit('user_stop_typing', {
+                        userId: socket.userId,
+                        username: socket.user.username,
+                        conversationId
+                    });
+                }
+                return;
+            }
 
-        if (!receiverId) return;
+            if (!receiverId || await isBlockedBetween(socket.userId, receiverId)) return;
 
-        // Send stop typing indicator to recipient if online
-        const recipientSocketId = connectedUsers.get(receiverId);
-        if (recipientSocketId) {
-            io.to(recipientSocketId).emit('user_stop_typing', {
+            // Send stop typing indicator to all of the recipient's devices
+            io.to(userRoom(receiverId)).emit('user_stop_typing', {
                 userId: socket.userId,
                 username: socket.user.username
             });
+        } catch (error) {
+            console.error('Stop typing error:', error);
         }
     });
 };
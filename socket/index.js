@@ -3,45 +3,109 @@
  * Main entry point for socket setup and connection handling
  */
 
-const { query } = require('../config/db');
+const { createAdapter } = require('@socket.io/postgres-adapter');
+const { pool, query } = require('../config/db');
 const socketAuthMiddleware = require('./middleware/socketAuth');
+const socketRateLimit = require('./middleware/socketRateLimit');
 const messageHandler = require('./handlers/messageHandler');
 const typingHandler = require('./handlers/typingHandler');
 const presenceHandler = require('./handlers/presenceHandler');
+const syncHandler = require('./handlers/syncHandler');
+const reactionHandler = require('./handlers/reactionHandler');
+const { userRoom, sessionRoom, conversationRoom } = require('./rooms');
+const {
+    setIO,
+    getIO,
+    joinConversationRoom,
+    leaveConversationRoom,
+    emitToUser,
+    emitToConversation,
+    emitToMessageAudience,
+    disconnectSessions
+} = require('./emitter');
+const {
+    registerSocket,
+    unregisterSocket,
+    isUserOnline,
+    startPresence,
+    stopPresence
+} = require('./presence');
+const { getUserConversationIds } = require('../services/conversationService');
+const { getBlockedPeerIds } = require('../services/blockService');
 
-// Store connected users: Map<odId, odId>
-const connectedUsers = new Map();
+/**
+ * Broadcast a user's presence change to everyone except users on either side of a block
+ * @param {Socket} socket - Socket of the user whose presence changed
+ * @param {string} event - user_online or user_offline
+ * @param {object} payload - Event payload
+ */
+const broadcastPresence = async (socket, event, payload) => {
+    const blockedPeerIds = await getBlockedPeerIds(socket.userId);
+    socket.broadcast.except(blockedPeerIds.map(userRoom)).emit(event, payload);
+};
 
 /**
  * Initialize Socket.io server with all handlers
  * @param {Server} io - Socket.io server instance
  */
 const initializeSocket = (io) => {
+    setIO(io);
+
+    // Route broadcasts through PostgreSQL LISTEN/NOTIFY so rooms span all server instances
+    io.adapter(createAdapter(pool, {
+        errorHandler: (error) => console.error('Socket.io adapter error:', error)
+    }));
 
     // Apply authentication middleware
     io.use(socketAuthMiddleware);
 
     // Connection handler
-    io.on('connection', async (socket) => {
+    io.on('connection', (socket) => {
         const { user, userId } = socket;
 
+        // Every device joins the user's room; revocation targets the session room
+        socket.join(userRoom(userId));
+        if (socket.sessionId) {
+            socket.join(sessionRoom(socket.sessionId));
+        }
+
         console.log(`\n🔌 User connected: ${user.username} (${userId})`);
         console.log(`   Socket ID: ${socket.id}`);
-        console.log(`   Connected users: ${connectedUsers.size + 1}`);
-
-        // Store user's socket ID
-        connectedUsers.set(String(userId), socket.id);
+        console.log(`   Sockets on this instance: ${io.of('/').sockets.size}`);
+
+        // Record the socket in the cluster-wide presence registry and
+        // broadcast user online status to all other users (first device only)
+        const registration = registerSocket(socket)
+            .then(async isFirstSocket => {
+                if (isFirstSocket) {
+                    await broadcastPresence(socket, 'user_online', {
+                        userId: userId,
+                        username: user.username
+                    });
+                }
+            })
+            .catch(error => {
+                console.error('Error registering socket presence:', error);
+            });
 
-        // Broadcast user online status to all other users
-        socket.broadcast.emit('user_online', {
-            userId: userId,
-            username: user.username
-        });
+        // Throttle incoming events before they reach the handlers
+        socket.use(socketRateLimit(socket));
 
         // Initialize event handlers
-        messageHandler(socket, io, connectedUsers);
-        typingHandler(socket, io, connectedUsers);
-        presenceHandler(socket, io, connectedUsers);
+        messageHandler(socket, io);
+        typingHandler(socket, io);
+        presenceHandler(socket, io);
+        syncHandler(socket, io);
+        reactionHandler(socket, io);
+
+        // Join rooms for all group conversations the user belongs to
+        getUserConversationIds(userId)
+            .then(conversationIds => {
+                conversationIds.forEach(id => socket.join(conversationRoom(id)));
+            })
+            .catch(error => {
+                console.error('Error joining conversation rooms:', error);
+            });
 
         // Send connection confirmation to client
         socket.emit('connected', {
@@ -59,27 +123,30 @@ const initializeSocket = (io) => {
         socket.on('disconnect', async (reason) => {
             console.log(`\n🔌 User disconnected: ${user.username} (${userId})`);
             console.log(`   Reason: ${reason}`);
-            console.log(`   Connected users: ${connectedUsers.size - 1}`);
-
-            // Remove from connected users
-            connectedUsers.delete(String(userId));
+            console.log(`   Sockets on this instance: ${io.of('/').sockets.size}`);
 
-            // Update database - set user offline
             try {
+                await registration;
+                const isLastSocket = await unregisterSocket(socket);
+
+                // User stays online while any other device is connected (on any instance)
+                if (!isLastSocket) return;
+
+                // Update database - set user offline
                 await query(
                     'UPDATE users SET is_online = false, last_seen = NOW() WHERE id = $1',
                     [userId]
                 );
+
+                // Broadcast user offline status
+                await broadcastPresence(socket, 'user_offline', {
+                    userId: userId,
+                    username: user.username,
+                    lastSeen: new Date().toISOString()
+                });
             } catch (error) {
                 console.error('Error updating user offline status:', error);
             }
-
-            // Broadcast user offline status
-            socket.broadcast.emit('user_offline', {
-                userId: userId,
-                username: user.username,
-                lastSeen: new Date().toISOString()
-            });
         });
 
         // Handle connection errors
@@ -93,33 +160,31 @@ const initializeSocket = (io) => {
         console.error('Socket connection error:', error.message);
     });
 
-    console.log('✅ Socket.io initialized with authentication');
+    startPresence(io);
 
-    return { connectedUsers };
+    console.log('✅ Socket.io initialized with authentication');
 };
 
 /**
- * Get connected users map (for external use)
+ * Remove this instance's sockets from the presence registry (for graceful shutdown)
  */
-const getConnectedUsers = () => connectedUsers;
-
-/**
- * Check if a user is online
- * @param {string} userId - User ID to check
- * @returns {boolean}
- */
-const isUserOnline = (userId) => connectedUsers.has(userId);
-
-/**
- * Get socket ID for a user
- * @param {string} userId - User ID
- * @returns {string|undefined}
- */
-const getUserSocketId = (userId) => connectedUsers.get(userId);
+const shutdownSocket = async () => {
+    try {
+        await stopPresence();
+    } catch (error) {
+        console.error('Error clearing socket presence:', error);
+    }
+};
 
 module.exports = {
     initializeSocket,
-    getConnectedUsers,
+    shutdownSocket,
     isUserOnline,
-    getUserSocketId
+    getIO,
+    joinConversationRoom,
+    leaveConversationRoom,
+    emitToUser,
+    emitToConversation,
+    emitToMessageAudience,
+    disconnectSessions
 };
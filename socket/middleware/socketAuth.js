@@ -5,6 +5,7 @@
 
 const jwt = require('jsonwebtoken');
 const { query } = require('../../config/db');
+const { isSessionActive } = require('../../services/sessionService');
 
 /**
  * Middleware to authenticate socket connections
@@ -22,6 +23,11 @@ const socketAuthMiddleware = async (socket, next) => {
         // Verify JWT token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Every access token is bound to a device session; tokens without one cannot be revoked
+        if (!decoded.sessionId) {
+            return next(new Error('Authentication error: Invalid token'));
+        }
+
         // Fetch user from database
         const result = await query(
             'SELECT id, username, email, is_online FROM users WHERE id = $1',
@@ -32,9 +38,15 @@ const socketAuthMiddleware = async (socket, next) => {
             return next(new Error('Authentication error: User not found'));
         }
 
-        // Attach user data to socket
+        // Reject tokens whose device session has been revoked
+        if (!(await isSessionActive(decoded.sessionId, decoded.userId))) {
+            return next(new Error('Authentication error: Session revoked'));
+        }
+
+        // Attach user and session data to socket
         socket.user = result.rows[0];
         socket.userId = String(result.rows[0].id);
+        socket.sessionId = decoded.sessionId;
 
         // Update user online status
         await query(
@@ -0,0 +1,42 @@
+/**
+ * Socket.io Rate Limiting Middleware
+ * Per-event budgets for a connected socket, keyed by user so all of their devices share them
+ */
+
+const { consume } = require('../../services/rateLimit');
+const { SOCKET_EVENT_BUDGETS } = require('../../config/rateLimits');
+
+/**
+ * Create the packet middleware of a socket (register with socket.use)
+ * Over-budget events are dropped: the client gets a rate_limited event,
+ * and the event's acknowledgement callback (if any) receives the same error
+ * @param {Socket} socket - Authenticated socket
+ */
+const socketRateLimit = (socket) => async (packet, next) => {
+    const [event, payload] = packet;
+
+    let result;
+    try {
+        result = await consume(SOCKET_EVENT_BUDGETS[event] || 'socket', `user:${socket.userId}`);
+    } catch (error) {
+        console.error('Socket rate limit error:', error);
+        return next();
+    }
+
+    if (result.allowed) {
+        return next();
+    }
+
+    const error = {
+        event,
+        error: 'Too many requests',
+        retryAfter: result.retryAfter,
+        ...(payload?.tempId && { tempId: payload.tempId })
+    };
+
+    const callback = packet[packet.length - 1];
+    if (typeof callback === 'function') callback(error);
+    socket.emit('rate_limited', error);
+};
+
+module.exports = socketRateLimit;
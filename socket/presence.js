@@ -0,0 +1,224 @@
+/**
+ * Presence Registry
+ * Tracks live sockets of every server instance in PostgreSQL, so a user
+ * is online while any instance holds one of their sockets
+ */
+
+const crypto = require('crypto');
+const { query, getClient } = require('../config/db');
+const { userRoom } = require('./rooms');
+const { getBlockedPeerIds } = require('../services/blockService');
+
+// Identifies this instance in the registry
+const SERVER_ID = process.env.SERVER_ID || crypto.randomUUID();
+
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Rows not refreshed within this window belong to an instance that died
+const STALE_AFTER_SECONDS = 90;
+
+let heartbeatTimer = null;
+
+/**
+ * Count a user's live sockets across all instances
+ * @param {string} userId - User ID
+ * @param {object} [db] - Client to count with (defaults to the pool)
+ * @returns {number}
+ */
+const countUserSockets = async (userId, db = { query }) => {
+    const result = await db.query(
+        `SELECT COUNT(*) AS count FROM socket_connections
+         WHERE user_id = $1 AND last_heartbeat_at > NOW() - make_interval(secs => $2)`,
+        [userId, STALE_AFTER_SECONDS]
+    );
+
+    return parseInt(result.rows[0].count, 10);
+};
+
+/**
+ * Change a user's registered sockets and count them afterwards, serialized per user
+ * so concurrent connects (or disconnects) never both see themselves as the first (or last)
+ * @param {string} userId - User ID
+ * @param {Function} change - Called with the client inside the transaction
+ * @returns {object} { before, after } live socket counts around the change
+ */
+const changeUserSockets = async (userId, change) => {
+    const client = await getClient();
+
+    try {
+        await client.query('BEGIN');
+        await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`presence:${userId}`]);
+
+        const before = await countUserSockets(userId, client);
+        await change(client);
+        const after = await countUserSockets(userId, client);
+
+        await client.query('COMMIT');
+
+        return { before, after };
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Register a connected socket
+ * @param {Socket} socket - Authenticated socket
+ * @returns {boolean} True if this is the user's first live socket
+ */
+const registerSocket = async (socket) => {
+    const { before, after } = await changeUserSockets(socket.userId, client => client.query(
+        `INSERT INTO socket_connections (socket_id, user_id, session_id, server_id)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (socket_id) DO NOTHING`,
+        [socket.id, socket.userId, socket.sessionId, SERVER_ID]
+    ));
+
+    return before === 0;
+};
+
+/**
+ * Unregister a disconnected socket
+ * @param {Socket} socket - Disconnected socket
+ * @returns {boolean} True if the user has no live sockets left
+ */
+const unregisterSocket = async (socket) => {
+    const { after } = await changeUserSockets(socket.userId, client => client.query(
+        'DELETE FROM socket_connections WHERE socket_id = $1',
+        [socket.id]
+    ));
+
+    return after === 0;
+};
+
+/**
+ * Check if a user has at least one live socket on any instance
+ * @param {string} userId - User ID to check
+ * @returns {boolean}
+ */
+const isUserOnline = async (userId) => (await countUserSockets(userId)) > 0;
+
+/**
+ * Record whether a socket's app is in the background
+ * @param {Socket} socket - Connected socket
+ * @param {boolean} inBackground - True when backgrounded
+ */
+const setSocketBackground = async (socket, inBackground) => {
+    await query(
+        'UPDATE socket_connections SET in_background = $1 WHERE socket_id = $2',
+        [inBackground, socket.id]
+    );
+};
+
+/**
+ * Check if a user has a live socket in the foreground (and so needs no push)
+ * @param {string} userId - User ID to check
+ * @returns {boolean}
+ */
+const isUserActive = async (userId) => {
+    const result = await query(
+        `SELECT 1 FROM socket_connections
+         WHERE user_id = $1 AND in_background = false
+           AND last_heartbeat_at > NOW() - make_interval(secs => $2)
+         LIMIT 1`,
+        [userId, STALE_AFTER_SECONDS]
+    );
+
+    return result.rows.length > 0;
+};
+
+/**
+ * Refresh this instance's live sockets and reap connections of dead instances
+ * @param {Server} io - Socket.io server instance
+ */
+const heartbeat = async (io) => {
+    // Sockets registered after this point may be missing from the list below,
+    // so their rows are left alone until the next heartbeat
+    const started = await query('SELECT NOW() AS started_at');
+    const localSocketIds = [...io.of('/').sockets.keys()];
+
+    // Refresh live sockets and drop rows for sockets this instance no longer holds
+    await query(
+        `UPDATE socket_connections SET last_heartbeat_at = NOW()
+         WHERE server_id = $1 AND socket_id = ANY($2)`,
+        [SERVER_ID, localSocketIds]
+    );
+    await query(
+        `DELETE FROM socket_connections
+         WHERE server_id = $1 AND NOT (socket_id = ANY($2)) AND connected_at < $3`,
+        [SERVER_ID, localSocketIds, started.rows[0].started_at]
+    );
+
+    const reaped = await query(
+        `DELETE FROM socket_connections
+         WHERE last_heartbeat_at <= NOW() - make_interval(secs => $1)
+         RETURNING user_id`,
+        [STALE_AFTER_SECONDS]
+    );
+
+    // Users whose last socket lived on a dead instance are now offline
+    const userIds = [...new Set(reaped.rows.map(row => row.user_id))];
+    for (const userId of userIds) {
+        if (await isUserOnline(userId)) continue;
+
+        const result = await query(
+            `UPDATE users SET is_online = false, last_seen = NOW()
+             WHERE id = $1 AND is_online = true
+             RETURNING id, username, last_seen`,
+            [userId]
+        );
+
+        if (result.rows.length > 0) {
+            const blockedPeerIds = await getBlockedPeerIds(userId);
+            io.except(blockedPeerIds.map(userRoom)).emit('user_offline', {
+                userId: result.rows[0].id,
+                username: result.rows[0].username,
+                lastSeen: result.rows[0].last_seen
+            });
+        }
+    }
+};
+
+/**
+ * Start the presence heartbeat for this instance
+ * @param {Server} io - Socket.io server instance
+ */
+const startPresence = (io) => {
+    if (heartbeatTimer) return;
+
+    heartbeatTimer = setInterval(() => {
+        heartbeat(io).catch(error => {
+            console.error('Presence heartbeat error:', error);
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+
+    console.log(`✅ Presence registry started (server ${SERVER_ID})`);
+};
+
+/**
+ * Stop the heartbeat and remove this instance's sockets from the registry
+ */
+const stopPresence = async () => {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+
+    await query(
+        'DELETE FROM socket_connections WHERE server_id = $1',
+        [SERVER_ID]
+    );
+};
+
+module.exports = {
+    SERVER_ID,
+    registerSocket,
+    unregisterSocket,
+    isUserOnline,
+    setSocketBackground,
+    isUserActive,
+    startPresence,
+    stopPresence
+};
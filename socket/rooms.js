@@ -0,0 +1,44 @@
+/**
+ * Socket.io Room Names
+ * Every socket joins its user's room, so emitting to a user reaches all of their devices
+ */
+
+/**
+ * Room shared by all sockets of a user
+ * @param {string} userId - User ID
+ * @returns {string}
+ */
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Room shared by all sockets of a device session
+ * @param {string} sessionId - Session ID
+ * @returns {string}
+ */
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+/**
+ * Room shared by all members of a group conversation
+ * @param {string} conversationId - Conversation ID
+ * @returns {string}
+ */
+const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+/**
+ * Rooms of everyone who can see a message
+ * @param {object} message - Message row (sender_id, receiver_id, conversation_id)
+ * @returns {string[]}
+ */
+const messageAudienceRooms = (message) => {
+    if (message.conversation_id) {
+        return [conversationRoom(message.conversation_id)];
+    }
+    return [userRoom(message.sender_id), userRoom(message.receiver_id)];
+};
+
+module.exports = {
+    userRoom,
+    sessionRoom,
+    conversationRoom,
+    messageAudienceRooms
+};